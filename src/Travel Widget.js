@@ -35,93 +35,35 @@ if (!routeModule) {
     return;
 }
 
-const routeInfoPromise = routeModule.getTravelTime(true);
-
-/**
- * Uses the title, message and triggerTimeSeconds to schedule a notification. If a pending notification with
- * the same title already exists, it will update that notification rather than create a new one.
- * @param {string} title The title of the notification
- * @param {string} message The message body of the notification
- * @param {number} triggerTimeSeconds Date/time in seconds since the UNIX epoch for the notification to trigger
- */
-async function addUpdateNotification(title, message, triggerTimeSeconds) {
-    if (DEBUG) logger.pushFunction('addUpdateNotification');
-
-    const triggerTime = new Date();
-    triggerTime.setTime(triggerTimeSeconds);
-
-    logInfo = `addUpdateNotification('${title}'): function called with:\n\ttitle = '${title}'\n\tmessage = '${message}'\n\ttriggerTime = ${triggerTime}`;
-    console.log(logInfo);
-    if (DEBUG) logger.writeToLogFile(logInfo);
-
-    // Notification trigger time needs to be more than 30 seconds in the future before we do anything
-    if (triggerTime > Date.now() + 30 * 1000) {
-        logInfo = `addUpdateNotification('${title}'): triggerTime ${triggerTime} is greater than ${
-            Date.now() + 30 * 1000
-        }, thus proceeding`;
-        console.log(logInfo);
-        if (DEBUG) logger.writeToLogFile(logInfo);
-
-        const notifications = await Notification.allPending();
-        const currentNotification = notifications.find(
-            (notif) => notif.title === title
-        );
-        if (currentNotification) {
-            logInfo = `addUpdateNotification('${title}'): notification with title '${title}' already exists:\n\tmessage = '${currentNotification.body}'\n\ttriggerTime = ${currentNotification.nextTriggerDate}`;
-            console.log(logInfo);
-            if (DEBUG) logger.writeToLogFile(logInfo);
-
-            logInfo = `addUpdateNotification('${title}'): updating existing notification '${title}' with:\n\tmessage = '${message}'\n\ttriggerTime = ${triggerTime}`;
-            console.log(logInfo);
-            if (DEBUG) logger.writeToLogFile(logInfo);
-
-            currentNotification.setTriggerDate(triggerTime);
-            currentNotification.body = message;
-            currentNotification.schedule();
-        } else {
-            logInfo = `addUpdateNotification('${title}'): no current notification, so need to set one:\n\ttitle = '${title}'\n\tmessage = '${message}'\n\ttriggerTime = ${triggerTime}`;
-            console.log(logInfo);
-            if (DEBUG) logger.writeToLogFile(logInfo);
-
-            const notif = new Notification();
-            notif.title = title;
-            notif.body = message;
-            notif.setTriggerDate(triggerTime);
-            notif.sound = 'default';
-            notif.schedule();
-        }
-        return currentNotification;
-    } else {
-        logInfo = `addUpdateNotification('${title}'): triggerTime ${triggerTime} is NOT greater than ${
-            Date.now() + 30 * 1000
-        }, thus doing nothing`;
-        console.log(logInfo);
-        if (DEBUG) logger.writeToLogFile(logInfo);
-    }
-
-    if (DEBUG) logger.popFunction();
-}
-
-// Start setting up the widget here before we need the routeInfo
-const padding = 8;
-
-const widget = new ListWidget();
-widget.setPadding(padding, padding, padding, padding);
-
-const headerStack = widget.addStack();
-
-const mainRowStack = widget.addStack();
-mainRowStack.layoutHorizontally();
-mainRowStack.bottomAlignContent();
-
-const mainNumberStack = mainRowStack.addStack();
-mainNumberStack.bottomAlignContent();
-
-const mainMinStack = mainRowStack.addStack();
-mainMinStack.bottomAlignContent();
-mainMinStack.setPadding(0, 0, 12, 0);
-
-const subStack = widget.addStack();
+// Tapping "Let them know" on the running late notification runs the script with the event to send a message about
+const runningLateEventId = args.queryParameters?.running_late;
+
+// When run from Shortcuts, Siri or the URL scheme, the parameters can change the calendar, the destination and whether to add the buffer
+const shortcutOutput = importModule('/lib/ShortcutOutput');
+const shortcutRequest = runningLateEventId
+    ? null
+    : shortcutOutput.getShortcutRequest(args, config);
+
+// Only the large widget has room to show the itinerary for the rest of the day, so don't spend API calls on it otherwise
+const routeInfoPromise = shortcutRequest
+    ? routeModule.getTravelTime(
+          shortcutRequest.bePessimistic,
+          shortcutRequest.calendarName,
+          false,
+          shortcutRequest.destination
+      )
+    : routeModule.getTravelTime(
+          true,
+          undefined,
+          ['large', 'extraLarge'].includes(config.widgetFamily)
+      );
+const settingsPromise = routeModule.getConfig();
+const travelStatus = routeModule.travelStatus;
+const widgetLayouts = importModule('/lib/WidgetLayouts');
+const notificationManager = importModule('/lib/NotificationManager');
+const refreshScheduler = importModule('/lib/RefreshScheduler');
+const routeExplorer = importModule('/lib/RouteExplorer');
+const runningLateMessenger = importModule('/lib/RunningLateMessenger');
 
 // Now wait for the routeInfo
 const routeInfo = await routeInfoPromise;
@@ -132,102 +74,101 @@ if (DEBUG) {
     logger.writeToLogFile(logInfo);
 }
 
-// Calculate the notification trigger time amd set the notification. If the trigger time is more than 10 minutes away, also set a notification 10 mins before
-if (routeInfo.arrivalTargetTime) {
-    const notificationTriggerTime = new Date();
-    let notificationTitle = 'Leave Now';
-    let notificationMessage = 'Leave NOW to ' + routeInfo.destinationName;
-    notificationTriggerTime.setTime(
-        routeInfo.arrivalTargetTime.getTime() -
-            routeInfo.routeTimeSeconds * 1000
-    );
-    addUpdateNotification(
-        notificationTitle,
-        notificationMessage,
-        notificationTriggerTime.getTime()
-    );
+const { config: settings } = await settingsPromise;
 
-    if (notificationTriggerTime > Date.now() - 10 * 60 * 1000) {
-        notificationTriggerTime.setMinutes(
-            notificationTriggerTime.getMinutes() - 10
-        );
-        notificationMessage =
-            'Get ready to leave to ' + routeInfo.destinationName;
-        notificationTitle = 'Get Ready To Leave';
-        addUpdateNotification(
-            notificationTitle,
-            notificationMessage,
-            notificationTriggerTime.getTime()
-        );
-    }
+// Shortcuts gets the routeInfo back to act on, e.g. to have Siri speak the summary or to set an automation for the leave-by time, rather
+// than a widget. The notifications are left to the widget, as the parameters may have changed the trip.
+if (shortcutRequest) {
+    Script.setShortcutOutput(shortcutOutput.getShortcutOutput(routeInfo));
+    if (DEBUG) logger.closeLogFile();
+    Script.complete();
+    return;
 }
 
-// Finish the widget with the routeInfo
-const routeTimeMinutes = Math.ceil(routeInfo.routeTimeSeconds / 60);
+// If the travel time couldn't be worked out, the widget shows what went wrong and what to do about it instead of a travel time,
+// so try again soon in case whatever went wrong has been fixed
+if (
+    ![travelStatus.OK, travelStatus.NO_EVENT, travelStatus.ARRIVED].includes(
+        routeInfo.status
+    )
+) {
+    if (DEBUG)
+        logger.writeToLogFile(
+            `Showing status ${routeInfo.status}: ${routeInfo.statusMessage}`,
+            undefined,
+            'WARN'
+        );
 
-if (DEBUG)
-    logger.writeToLogFile(
-        `Adding text to headerStack: ${routeInfo.destinationName}`
+    const { refreshTime } = refreshScheduler.getRefreshSchedule(
+        routeInfo,
+        settings
     );
-const headerText = headerStack.addText(routeInfo.destinationName);
-headerText.font = Font.mediumSystemFont(16);
 
-const minutesText = routeTimeMinutes.toString().padStart(2, '0');
-if (DEBUG)
-    logger.writeToLogFile(`Adding text to mainNumberStack: ${minutesText}`);
-const mainText = mainNumberStack.addText(minutesText);
-mainText.font = Font.mediumSystemFont(48);
-
-if (routeInfo.arrivalTime && routeInfo.arrivalTargetTime) {
-    const textColor =
-        routeInfo.arrivalTime.setTime(
-            routeInfo.arrivalTime.getTime() + 600000
-        ) > routeInfo.arrivalTargetTime
-            ? Color.red()
-            : Color.green();
-    mainText.textColor = textColor;
-}
+    const widget = widgetLayouts.createWidget(
+        routeInfo,
+        settings,
+        config.widgetFamily
+    );
+    widget.refreshAfterDate = refreshTime;
 
-if (DEBUG) logger.writeToLogFile("Adding text to mainMinStack: ' mins'");
-const minText = mainMinStack.addText(' mins');
-minText.font = Font.mediumSystemFont(24);
+    if (config.runsInApp) {
+        await routeExplorer.presentRouteExplorer(routeInfo);
+    }
 
-if (DEBUG)
-    logger.writeToLogFile(`Adding text to subStack: '${routeInfo.routeName}'`);
-const subText = subStack.addText(`Using ${routeInfo.routeName}`);
-subText.font = Font.mediumSystemFont(12);
-
-// Set the widget refresh time for no earlier than the due time less travel time x 2. If that's less than the current time, set tefresh time for no earlier than 5 mins from now instead.
-const refreshTime = new Date();
-if (routeInfo.arrivalTime && routeInfo.arrivalTargetTime) {
-    refreshTime.setTime(
-        routeInfo.arrivalTargetTime.getTime() -
-            routeInfo.routeTimeSeconds * 2 * 1000
-    );
-    if (DEBUG)
-        logger.writeToLogFile(`Set refreshTime variable to [${refreshTime}]`);
-} else {
-    if (DEBUG)
-        logger.writeToLogFile(
-            'No arrivalTime or arrivalTargetTime set in routeInfo',
-            undefined,
-            'ERROR'
-        );
+    Script.setWidget(widget);
+    if (DEBUG) logger.closeLogFile();
+    Script.complete();
+    return;
 }
 
-if (refreshTime.getTime() < Date.now() + 5 * 60 * 1000) {
-    refreshTime.setTime(Date.now());
-    refreshTime.setMinutes(refreshTime.getMinutes() + 5);
+// Schedule the notifications for leaving for the next event, and clean up any for events that have been cancelled or moved
+await notificationManager.reconcileNotifications(routeInfo, settings);
+await notificationManager.notifyWorseningTraffic(routeInfo, settings);
+await notificationManager.notifyRunningLate(routeInfo, settings);
+
+// Compose the running late message asked for from the notification, as long as the event is still the next one
+if (runningLateEventId) {
+    if (routeInfo.eventIdentifier === runningLateEventId) {
+        await runningLateMessenger.composeRunningLateMessage(routeInfo);
+    } else {
+        const alert = new Alert();
+        alert.title = 'No message to send';
+        alert.message = "The event isn't the next one to travel to any more";
+        alert.addAction('OK');
+        await alert.presentAlert();
+    }
 }
 
-logInfo = 'setting widget.refreshAfterDate to ' + refreshTime;
+// Build the widget to suit its size, all from the same routeInfo
+if (DEBUG)
+    logger.writeToLogFile(
+        `Building ${config.widgetFamily} widget for ${routeInfo.destinationName}`
+    );
+const widget = widgetLayouts.createWidget(
+    routeInfo,
+    settings,
+    config.widgetFamily
+);
+
+// Work out when the widget is next worth refreshing, from how far off the event is, how much the travel time has been changing and how much of
+// the API budget is left
+const { refreshTime, reasons: refreshReasons } =
+    refreshScheduler.getRefreshSchedule(routeInfo, settings);
+
+logInfo = `setting widget.refreshAfterDate to ${refreshTime}: ${refreshReasons.join(
+    '; '
+)}`;
 console.log(logInfo);
 if (DEBUG) logger.writeToLogFile(logInfo);
 
 widget.refreshAfterDate = refreshTime;
 
+// When run in the app, show the routes that were found so the user can explore them and pin one
+if (config.runsInApp) {
+    await routeExplorer.presentRouteExplorer(routeInfo);
+}
+
 Script.setWidget(widget);
-// widget.presentSmall();
 
 if (DEBUG) logger.closeLogFile();
 Script.complete();
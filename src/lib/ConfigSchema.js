@@ -0,0 +1,617 @@
+/**
+ * @module ConfigSchema
+ * @author Todd Hosey
+ * @version 1.0
+ * @license GNU General Public License, version 3
+ * @exports validateConfig function
+ * @exports travelModes array
+ */
+'use strict';
+
+const travelModes = ['driving', 'transit', 'walking', 'bicycling'];
+const avoidableFeatures = ['tolls', 'highways', 'ferries'];
+
+// The values Scriptable gives for the status of an attendee of an event, and the availability of an event
+const attendeeStatuses = [
+    'unknown',
+    'pending',
+    'accepted',
+    'declined',
+    'tentative',
+    'delegated',
+    'completed',
+    'inProcess',
+];
+const availabilities = [
+    'notSupported',
+    'busy',
+    'free',
+    'tentative',
+    'unavailable',
+];
+
+// Schema for a time of day in the form HH:MM
+const timeOfDaySchema = {
+    type: 'string',
+    required: true,
+    pattern: /^([01]?\d|2[0-3]):[0-5]\d$/,
+    patternDescription: 'a time like 07:30',
+};
+
+/**
+ * Schema for the route preferences, which can be set for every trip and overridden for each known place. The known place overrides have no
+ * defaults, so that anything they don't set falls back to the global preferences.
+ * @param {boolean} withDefaults Whether to include the defaults
+ * @returns The schema node for the route preferences
+ */
+function getRoutePreferencesSchema(withDefaults) {
+    return {
+        type: 'object',
+        properties: {
+            avoid: {
+                type: 'array',
+                default: withDefaults ? [] : undefined,
+                items: { type: 'string', enum: avoidableFeatures },
+            },
+            max_detour_percent: { type: 'number', min: 0, max: 1000 },
+        },
+    };
+}
+
+/**
+ * Schema for DestinationTravelTime.config.json. Each node describes the <code>type</code> of a value and optionally its <code>default</code>,
+ * allowed range (<code>min</code>, <code>max</code>), allowed values (<code>enum</code>), the form text must take (<code>pattern</code>, described by
+ * <code>patternDescription</code>), whether text is a regular expression (<code>regex</code>), and for objects and arrays the schema of their
+ * <code>properties</code> or <code>items</code>. Keys in the config that aren't in the schema are kept but not checked.
+ */
+const configSchema = {
+    type: 'object',
+    properties: {
+        calendar_name: { type: 'string', default: 'Travel Destinations' },
+        calendar_names: {
+            type: 'array',
+            default: [],
+            items: { type: 'string' },
+        },
+        event_filters: {
+            type: 'object',
+            properties: {
+                include_all_day: { type: 'boolean', default: false },
+                exclude_attendee_statuses: {
+                    type: 'array',
+                    default: ['declined'],
+                    items: { type: 'string', enum: attendeeStatuses },
+                },
+                exclude_availability: {
+                    type: 'array',
+                    default: ['free'],
+                    items: { type: 'string', enum: availabilities },
+                },
+                include_title_patterns: {
+                    type: 'array',
+                    default: [],
+                    items: { type: 'string', regex: true },
+                },
+                exclude_title_patterns: {
+                    type: 'array',
+                    default: ['^cancell?ed\\b'],
+                    items: { type: 'string', regex: true },
+                },
+            },
+        },
+        lookahead_minutes: { type: 'number', default: 120, min: 1, max: 1440 },
+        pessimism: {
+            type: 'object',
+            properties: {
+                percent: { type: 'number', default: 20, min: 0, max: 500 },
+                minimum_minutes: {
+                    type: 'number',
+                    default: 10,
+                    min: 0,
+                    max: 240,
+                },
+            },
+        },
+        late_threshold_minutes: {
+            type: 'number',
+            default: 10,
+            min: 0,
+            max: 240,
+        },
+        minimum_refresh_minutes: {
+            type: 'number',
+            default: 5,
+            min: 1,
+            max: 1440,
+        },
+        maximum_refresh_minutes: {
+            type: 'number',
+            default: 60,
+            min: 1,
+            max: 1440,
+        },
+        refresh_volatility_minutes: {
+            type: 'number',
+            default: 5,
+            min: 0,
+            max: 240,
+        },
+        future_departure: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: true },
+                threshold_minutes: {
+                    type: 'number',
+                    default: 30,
+                    min: 0,
+                    max: 1440,
+                },
+                max_iterations: { type: 'number', default: 2, min: 0, max: 5 },
+                tolerance_minutes: {
+                    type: 'number',
+                    default: 2,
+                    min: 0,
+                    max: 60,
+                },
+            },
+        },
+        departure_window: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                step_minutes: {
+                    type: 'number',
+                    default: 10,
+                    min: 1,
+                    max: 120,
+                },
+                max_samples: { type: 'number', default: 6, min: 1, max: 24 },
+                min_saving_minutes: {
+                    type: 'number',
+                    default: 5,
+                    min: 0,
+                    max: 240,
+                },
+            },
+        },
+        itinerary: {
+            type: 'object',
+            properties: {
+                max_legs: { type: 'number', default: 4, min: 1, max: 10 },
+            },
+        },
+        notifications: {
+            type: 'object',
+            properties: {
+                lead_minutes: {
+                    type: 'array',
+                    default: [10, 0],
+                    items: { type: 'number', min: 0, max: 240 },
+                },
+                worsening_alert_minutes: {
+                    type: 'number',
+                    default: 10,
+                    min: 0,
+                    max: 240,
+                },
+            },
+        },
+        travel_blocks: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                calendar_name: { type: 'string', default: 'Travel Time' },
+            },
+        },
+        running_late: {
+            type: 'object',
+            properties: {
+                alert_minutes: {
+                    type: 'number',
+                    default: 5,
+                    min: 0,
+                    max: 240,
+                },
+                method: {
+                    type: 'string',
+                    default: 'message',
+                    enum: ['message', 'mail'],
+                },
+                send_to: {
+                    type: 'string',
+                    default: 'organiser',
+                    enum: ['organiser', 'attendees'],
+                },
+                message_template: {
+                    type: 'string',
+                    default:
+                        "Sorry, I'm running about {late} min late for {event}. I should be there by {eta}.",
+                },
+                subject_template: {
+                    type: 'string',
+                    default: 'Running late for {event}',
+                },
+            },
+        },
+        history: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: true },
+                max_records: {
+                    type: 'number',
+                    default: 2000,
+                    min: 10,
+                    max: 100000,
+                },
+                hour_window: { type: 'number', default: 1, min: 0, max: 12 },
+                min_samples: { type: 'number', default: 3, min: 1, max: 100 },
+                compare_threshold_minutes: {
+                    type: 'number',
+                    default: 3,
+                    min: 0,
+                    max: 240,
+                },
+            },
+        },
+        display: {
+            type: 'object',
+            properties: {
+                leave_by_after_minutes: {
+                    type: 'number',
+                    default: 60,
+                    min: 0,
+                    max: 1440,
+                },
+                show_progress: { type: 'boolean', default: true },
+            },
+        },
+        routing: {
+            type: 'object',
+            properties: {
+                provider: {
+                    type: 'string',
+                    default: 'google',
+                    enum: ['google', 'osrm', 'valhalla', 'here'],
+                },
+                base_url: { type: 'string' },
+                api_key_keychain: { type: 'string' },
+                profiles: { type: 'object' },
+                costing: { type: 'object' },
+                transport_modes: { type: 'object' },
+            },
+        },
+        cache: {
+            type: 'object',
+            properties: {
+                origin_cell_metres: {
+                    type: 'number',
+                    default: 500,
+                    min: 10,
+                    max: 10000,
+                },
+                ttl_event_fraction: {
+                    type: 'number',
+                    default: 0.25,
+                    min: 0,
+                    max: 1,
+                },
+                min_ttl_minutes: {
+                    type: 'number',
+                    default: 2,
+                    min: 0,
+                    max: 1440,
+                },
+                max_ttl_minutes: {
+                    type: 'number',
+                    default: 30,
+                    min: 0,
+                    max: 1440,
+                },
+            },
+        },
+        api_budget: {
+            type: 'object',
+            properties: {
+                monthly_call_limit: { type: 'number', default: 20000, min: 0 },
+            },
+        },
+        default_mode: { type: 'string', default: 'driving', enum: travelModes },
+        route_preferences: getRoutePreferencesSchema(true),
+        arrival_radius_metres: {
+            type: 'number',
+            default: 200,
+            min: 0,
+            max: 10000,
+        },
+        origins: {
+            type: 'array',
+            default: [],
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', required: true },
+                    address: { type: 'string' },
+                    location: {
+                        type: 'object',
+                        properties: {
+                            latitude: { type: 'number', min: -90, max: 90 },
+                            longitude: { type: 'number', min: -180, max: 180 },
+                        },
+                    },
+                    use_during: {
+                        type: 'array',
+                        default: [],
+                        items: {
+                            type: 'object',
+                            properties: {
+                                days: {
+                                    type: 'array',
+                                    default: [],
+                                    items: { type: 'number', min: 0, max: 6 },
+                                },
+                                from: timeOfDaySchema,
+                                until: timeOfDaySchema,
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        fallback_origin: { type: 'string' },
+        location_max_age_minutes: {
+            type: 'number',
+            default: 60,
+            min: 0,
+            max: 10080,
+        },
+        known_place_radius_metres: {
+            type: 'number',
+            default: 150,
+            min: 0,
+            max: 10000,
+        },
+        known_places: {
+            type: 'array',
+            default: [],
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    place_id: { type: 'string' },
+                    location: {
+                        type: 'object',
+                        properties: {
+                            latitude: { type: 'number', min: -90, max: 90 },
+                            longitude: { type: 'number', min: -180, max: 180 },
+                        },
+                    },
+                    radius_metres: {
+                        type: 'number',
+                        min: 0,
+                        max: 10000,
+                    },
+                    location_names: {
+                        type: 'array',
+                        required: true,
+                        default: [],
+                        items: { type: 'string' },
+                    },
+                    preferred_routes: {
+                        type: 'array',
+                        default: [],
+                        items: { type: 'string' },
+                    },
+                    mode: { type: 'string', enum: travelModes },
+                    route_preferences: getRoutePreferencesSchema(false),
+                },
+            },
+        },
+    },
+};
+
+/**
+ * Joins a key onto the path of its parent, for use in error messages, e.g. "pessimism" and "percent" become "pessimism.percent".
+ * @param {string} path The path of the parent value
+ * @param {string} key The key of the value within its parent
+ * @returns {string} The joined path
+ */
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Checks a value against its schema node. Any problems are added to the errors array, and the schema default is used in place of the
+ * invalid value, so that the returned value is always safe to use.
+ * @param {*} value The value from the config file
+ * @param {Object} schema The schema node that the value should match
+ * @param {string} path The path of the value within the config, used in error messages
+ * @param {Array} errors Array that error message strings are added to
+ * @returns The validated value, with defaults filled in for anything missing or invalid
+ */
+function validateValue(value, schema, path, errors) {
+    if (value === undefined || value === null) {
+        if (schema.required) {
+            errors.push(`${path} is required`);
+        }
+
+        if (schema.type === 'object' && schema.properties) {
+            return validateValue({}, schema, path, errors);
+        }
+
+        return Array.isArray(schema.default)
+            ? [...schema.default]
+            : schema.default;
+    }
+
+    const invalid = (expected) => {
+        errors.push(
+            `${path} must be ${expected} (got ${JSON.stringify(value)})`
+        );
+        return validateValue(
+            undefined,
+            { ...schema, required: false },
+            path,
+            []
+        );
+    };
+
+    switch (schema.type) {
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return invalid('an object');
+            }
+
+            const result = { ...value };
+            for (const [key, propertySchema] of Object.entries(
+                schema.properties || {}
+            )) {
+                const propertyValue = validateValue(
+                    value[key],
+                    propertySchema,
+                    joinPath(path, key),
+                    errors
+                );
+
+                if (propertyValue === undefined) {
+                    delete result[key];
+                } else {
+                    result[key] = propertyValue;
+                }
+            }
+            return result;
+        }
+        case 'array':
+            if (!Array.isArray(value)) {
+                return invalid('a list');
+            }
+
+            return value
+                .map((item, index) =>
+                    validateValue(
+                        item,
+                        schema.items,
+                        `${path}[${index}]`,
+                        errors
+                    )
+                )
+                .filter((item) => item !== undefined);
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return invalid('a number');
+            }
+
+            if (schema.min !== undefined && schema.max !== undefined) {
+                if (value < schema.min || value > schema.max) {
+                    return invalid(`between ${schema.min} and ${schema.max}`);
+                }
+            } else if (schema.min !== undefined && value < schema.min) {
+                return invalid(`at least ${schema.min}`);
+            } else if (schema.max !== undefined && value > schema.max) {
+                return invalid(`at most ${schema.max}`);
+            }
+            return value;
+        case 'string':
+            if (typeof value !== 'string') {
+                return invalid('text');
+            }
+
+            if (schema.enum && !schema.enum.includes(value)) {
+                return invalid(`one of ${schema.enum.join(', ')}`);
+            }
+
+            if (schema.pattern && !schema.pattern.test(value)) {
+                return invalid(schema.patternDescription);
+            }
+
+            if (schema.regex) {
+                try {
+                    new RegExp(value);
+                } catch (err) {
+                    return invalid('a valid regular expression');
+                }
+            }
+            return value;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return invalid('true or false');
+            }
+            return value;
+        default:
+            return value;
+    }
+}
+
+/**
+ * Moves settings that have been replaced onto the settings that replaced them, so that existing config files keep working:
+ * <ul>
+ * <li><code>get_ready_lead_minutes</code> becomes the first of <code>notifications.lead_minutes</code>, followed by the 'Leave Now' notification at 0</li>
+ * </ul>
+ * A replaced setting that is set alongside the one that replaced it is reported as an error, as only the new one is used.
+ * @param {Object} rawConfig The parsed content of the config file
+ * @param {Array} errors Array that error message strings are added to
+ * @returns {Object} The config with the replaced settings moved
+ */
+function migrateLegacySettings(rawConfig, errors) {
+    const getReadyLeadMinutes = rawConfig.get_ready_lead_minutes;
+    if (getReadyLeadMinutes === undefined || getReadyLeadMinutes === null) {
+        return rawConfig;
+    }
+
+    const config = { ...rawConfig };
+    delete config.get_ready_lead_minutes;
+    const notifications = config.notifications;
+    if (notifications?.lead_minutes !== undefined) {
+        errors.push(
+            'get_ready_lead_minutes has been replaced by notifications.lead_minutes, so it is ignored. Remove it from the config'
+        );
+        return config;
+    }
+
+    const leadMinutes = validateValue(
+        getReadyLeadMinutes,
+        { type: 'number', min: 0, max: 240 },
+        'get_ready_lead_minutes',
+        errors
+    );
+    if (leadMinutes === undefined) {
+        return config;
+    }
+
+    return {
+        ...config,
+        notifications: {
+            ...(typeof notifications === 'object' ? notifications : {}),
+            lead_minutes: leadMinutes > 0 ? [leadMinutes, 0] : [0],
+        },
+    };
+}
+
+/**
+ * Validates the parsed DestinationTravelTime.config.json against the config schema, filling in defaults for any settings that are
+ * missing or invalid. Settings that have been replaced are moved onto their replacements first, as per migrateLegacySettings.
+ * @param {Object} rawConfig The parsed content of the config file
+ * @returns <code>{config: Object, errors: Array}</code>. The config is always usable, even when there are errors.
+ */
+function validateConfig(rawConfig) {
+    const errors = [];
+
+    if (
+        rawConfig === null ||
+        typeof rawConfig !== 'object' ||
+        Array.isArray(rawConfig)
+    ) {
+        errors.push('The config file must contain a JSON object');
+        rawConfig = {};
+    }
+
+    const config = validateValue(
+        migrateLegacySettings(rawConfig, errors),
+        configSchema,
+        '',
+        errors
+    );
+    return { config, errors };
+}
+
+module.exports.validateConfig = validateConfig;
+module.exports.travelModes = travelModes;
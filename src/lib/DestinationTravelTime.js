@@ -4,59 +4,264 @@
  * @version 1.0
  * @license GNU General Public License, version 3
  * @exports getTravelTime function
- * @todo
- * <ul>
- * <li>Cope with no API key in keychain</li>
- * <li>Cope with no config file in data folder</li>
- * <li>Cope with no location in keychain</li>
- * </ul>
+ * @exports getConfig function
+ * @exports travelStatus object
  */
 'use strict';
 
 const DEBUG = false;
 const logger = DEBUG ? importModule('/lib/Logger').logger : null;
+const routingProviders = importModule('/lib/RoutingProviders');
+const configSchema = importModule('/lib/ConfigSchema');
+const directionsCache = importModule('/lib/DirectionsCache').directionsCache;
+const travelHistory = importModule('/lib/TravelHistory').travelHistory;
+const travelBlocks = importModule('/lib/TravelBlocks');
+const travelStatus = importModule('/lib/TravelStatus').travelStatus;
+
+const kEarthRadiusMetres = 6371000;
+
+// Video-call links and names that turn up in event locations, which can't be travelled to
+const kVideoCallPatterns = [
+    /\bhttps?:\/\/\S+/gi,
+    /\b[\w.-]*(zoom\.us|teams\.microsoft\.com|teams\.live\.com|meet\.google\.com|webex\.com|whereby\.com|gotomeeting\.com)\S*/gi,
+    /\b(microsoft teams meeting|zoom meeting|google meet|webex meeting|skype meeting|facetime)\b/gi,
+];
 
-const apiKey = Keychain.get('MAPS_API_KEY');
+// The config is only read from iCloud once per run, even though both the widget and getTravelTime ask for it
+let configPromise = null;
+
+// Maps the statuses returned by the routing providers onto travelStatus codes. Anything not listed is a MAPS_ERROR.
+const providerStatuses = {
+    REQUEST_DENIED: travelStatus.MAPS_REQUEST_DENIED,
+    ZERO_RESULTS: travelStatus.ZERO_RESULTS,
+    NOT_FOUND: travelStatus.DESTINATION_NOT_FOUND,
+    OVER_QUERY_LIMIT: travelStatus.OVER_QUERY_LIMIT,
+    OVER_DAILY_LIMIT: travelStatus.OVER_QUERY_LIMIT,
+    NETWORK_ERROR: travelStatus.NETWORK_ERROR,
+};
+
+// The statuses that mean the maps service can't be used right now, rather than that there is something wrong with the trip
+const historyFallbackStatuses = [
+    travelStatus.NETWORK_ERROR,
+    travelStatus.MAPS_REQUEST_DENIED,
+    travelStatus.OVER_QUERY_LIMIT,
+    travelStatus.OVER_BUDGET,
+    travelStatus.MAPS_ERROR,
+];
+
+/**
+ * Returns the path of the config file, DestinationTravelTime.config.json under the /data subfolder of the Scriptable folder in iCloud, or of the
+ * backup that updateConfig makes of it.
+ * @param {FileManager} fm The iCloud FileManager
+ * @param {boolean} backup Whether to return the path of the backup
+ * @returns {string} The path of the config file
+ */
+function getConfigFilePath(fm, backup = false) {
+    return fm.joinPath(
+        fm.joinPath(fm.documentsDirectory(), 'data'),
+        backup
+            ? 'DestinationTravelTime.config.backup.json'
+            : 'DestinationTravelTime.config.json'
+    );
+}
 
 /**
- * Returns JSON of a config file. The file is expected to be under the /data subfolder of the Scriptable folder in iCloud, and should be named DestinationTravelTime.config.json.
+ * Reads the config file and validates it against the config schema. The file is expected to be under the /data subfolder of the Scriptable folder in iCloud,
+ * and should be named DestinationTravelTime.config.json.
  * @async
- * @returns A promise that resolves to a JSON object of the parsed string from the config.json file
+ * @returns A promise that resolves to <code>{config: Object, errors: Array, found: boolean}</code>. The config has defaults filled in for any settings
+ * that are missing or invalid, and errors lists what was wrong with the file. If the file doesn't exist, found is false and the config is all defaults.
  */
-async function getConfig() {
-    if (DEBUG) logger.pushFunction('getConfig', 'getTravelTime');
+async function loadConfig() {
+    if (DEBUG) logger.pushFunction('loadConfig', 'getConfig');
 
     const fm = FileManager.iCloud();
-    const dataPath = fm.joinPath(fm.documentsDirectory(), 'data');
-    const dataFile = fm.joinPath(dataPath, 'DestinationTravelTime.config.json');
-    if (DEBUG) logger.writeToLogFile('Config file is ' + dataFile, 'getConfig');
+    const dataFile = getConfigFilePath(fm);
+    if (DEBUG)
+        logger.writeToLogFile('Config file is ' + dataFile, 'loadConfig');
+
+    if (!fm.fileExists(dataFile)) {
+        if (DEBUG) {
+            logger.writeToLogFile(
+                dataFile + ' does not exist',
+                'loadConfig',
+                'ERROR'
+            );
+            logger.popFunction('loadConfig');
+        }
+
+        return { ...configSchema.validateConfig({}), found: false };
+    }
 
     if (!fm.isFileDownloaded(dataFile)) {
         await fm.downloadFileFromiCloud(dataFile);
         if (DEBUG)
             logger.writeToLogFile(
                 dataFile + ' downloaded from iCloud',
-                'getConfig'
+                'loadConfig'
             );
     }
     const content = fm.readString(dataFile);
 
-    if (DEBUG) {
+    if (DEBUG)
         logger.writeToLogFile(
             'content from data file has been read',
-            'getConfig'
+            'loadConfig'
         );
-        logger.popFunction('getConfig');
+
+    let rawConfig = {};
+    const parseErrors = [];
+    try {
+        rawConfig = JSON.parse(content);
+    } catch (err) {
+        parseErrors.push(`The config file is not valid JSON: ${err.message}`);
+    }
+
+    const { config, errors } = configSchema.validateConfig(rawConfig);
+
+    if (DEBUG) {
+        for (const error of [...parseErrors, ...errors]) {
+            logger.writeToLogFile(error, 'loadConfig', 'ERROR');
+        }
+        logger.popFunction('loadConfig');
+    }
+
+    return { config, errors: [...parseErrors, ...errors], found: true };
+}
+
+/**
+ * Returns the validated config from the DestinationTravelTime.config.json file, reading it the first time it is asked for.
+ * @async
+ * @returns A promise that resolves to <code>{config: Object, errors: Array, found: boolean}</code>. Refer to loadConfig.
+ */
+function getConfig() {
+    if (!configPromise) {
+        configPromise = loadConfig();
+    }
+
+    return configPromise;
+}
+
+/**
+ * Changes the config file. The file is read as it is, without the defaults that loadConfig fills in, so that only the changes made by update are
+ * written back. The changed config is validated before it is written, and isn't written if there is anything wrong with it. The file as it was is
+ * kept as DestinationTravelTime.config.backup.json, so that a bad change can be rolled back with restoreConfigBackup. Once written, the next call to
+ * getConfig reads it again.
+ * @async
+ * @param {Function} update Called with the parsed content of the config file, which it changes in place
+ * @returns A Promise that resolves to an Array of error message strings, which is empty if the config file was written
+ */
+async function updateConfig(update) {
+    const fm = FileManager.iCloud();
+    const dataFile = getConfigFilePath(fm);
+
+    if (!fm.fileExists(dataFile)) {
+        return [
+            'DestinationTravelTime.config.json was not found in the data folder',
+        ];
+    }
+
+    if (!fm.isFileDownloaded(dataFile)) {
+        await fm.downloadFileFromiCloud(dataFile);
+    }
+
+    const content = fm.readString(dataFile);
+    let rawConfig = {};
+    try {
+        rawConfig = JSON.parse(content);
+    } catch (err) {
+        return [`The config file is not valid JSON: ${err.message}`];
+    }
+
+    update(rawConfig);
+
+    const { errors } = configSchema.validateConfig(rawConfig);
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    fm.writeString(getConfigFilePath(fm, true), content);
+    fm.writeString(dataFile, JSON.stringify(rawConfig, null, 4));
+    configPromise = null;
+
+    return [];
+}
+
+/**
+ * Rolls back the last change made by updateConfig, by swapping the config file with its backup. Restoring again swaps them back.
+ * @async
+ * @returns A Promise that resolves to an Array of error message strings, which is empty if the backup was restored
+ */
+async function restoreConfigBackup() {
+    const fm = FileManager.iCloud();
+    const dataFile = getConfigFilePath(fm);
+    const backupFile = getConfigFilePath(fm, true);
+
+    if (!fm.fileExists(backupFile)) {
+        return ['There is no backup of the config file to restore'];
+    }
+
+    for (const filePath of [dataFile, backupFile]) {
+        if (fm.fileExists(filePath) && !fm.isFileDownloaded(filePath)) {
+            await fm.downloadFileFromiCloud(filePath);
+        }
+    }
+
+    const backupContent = fm.readString(backupFile);
+    if (fm.fileExists(dataFile)) {
+        fm.writeString(backupFile, fm.readString(dataFile));
     }
+    fm.writeString(dataFile, backupContent);
+    configPromise = null;
+
+    return [];
+}
+
+/**
+ * Makes a route the first preferred route for a destination, so that it is chosen whenever it is one of the routes found. The route is added to the
+ * known place whose location names include the destination, or failing that the known place with the given name. If there isn't one, a known
+ * place is added for the destination.
+ * @async
+ * @param {string} destination The location of the event, as given in the <code>destinationLocation</code> of the routeInfo
+ * @param {string} knownPlaceName The name of the known place the destination matched, if any
+ * @param {string} routeName The name of the route to prefer
+ * @returns A Promise that resolves to an Array of error message strings, as per updateConfig
+ */
+function pinPreferredRoute(destination, knownPlaceName, routeName) {
+    return updateConfig((rawConfig) => {
+        if (!Array.isArray(rawConfig.known_places)) {
+            rawConfig.known_places = [];
+        }
+
+        let knownPlace =
+            rawConfig.known_places.find((place) =>
+                (place.location_names || []).some(
+                    (name) =>
+                        normaliseAddress(name) === normaliseAddress(destination)
+                )
+            ) ||
+            (knownPlaceName &&
+                rawConfig.known_places.find(
+                    (place) => place.name === knownPlaceName
+                ));
+
+        if (!knownPlace) {
+            knownPlace = { location_names: [destination] };
+            rawConfig.known_places.push(knownPlace);
+        }
 
-    return JSON.parse(content);
+        knownPlace.preferred_routes = [
+            routeName,
+            ...(knownPlace.preferred_routes || []).filter(
+                (preferredRoute) => preferredRoute !== routeName
+            ),
+        ];
+    });
 }
 
 /**
- * Replaces 'fancy quotes' (“”, ‘’) with standard quote characters (", ') in the given string. This is needed if a JSON string is stored in a format that uses the fancy quotes,
- * such as in the Notes section of a calendar event, as JSON.parse cannot parse the fancy quotes. Is now deprecated as we store the JSON configuration in a JSON file now,
- * rather than in individual calendar events.
- * @deprecated
+ * Replaces 'fancy quotes' (“”, ‘’) with standard quote characters (", ') in the given string. This is needed for text typed into the Notes section of a
+ * calendar event, as iOS swaps in the fancy quotes as you type.
  * @param {string} origText The string in which 'fancy quotes' appear and are to be replaced
  * @returns Updated string with the 'fancy quotes' replaced by standard quote characters.
  */
@@ -69,22 +274,271 @@ function replaceFancyQuotes(origText) {
 }
 
 /**
- * Gets the next event in the specified calendar.
+ * Makes an address URL-friendly so that it can be passed straight to the routing provider.
+ * @param {string} address The address, e.g. from the location of a calendar event
+ * @returns {string} The URL-friendly address
+ */
+function toUrlFriendly(address) {
+    return address
+        .replaceAll(/[ \n]/gi, '+')
+        .replaceAll(/,/gi, '')
+        .replaceAll(/–/gi, '-');
+}
+
+/**
+ * The directives that can be given in the notes of a calendar event, each on a line of its own as e.g. <code>buffer: 15</code>. Each directive
+ * parses its value, returning undefined if the value can't be used.
+ */
+const eventDirectives = {
+    mode: (value) =>
+        configSchema.travelModes.includes(value.toLowerCase())
+            ? value.toLowerCase()
+            : undefined,
+    buffer: (value) => {
+        const bufferMatch = value.match(/^(\d+)\s*(m|mins?|minutes?)?$/i);
+        return bufferMatch ? Number(bufferMatch[1]) : undefined;
+    },
+    route: (value) => value || undefined,
+    origin: (value) => (value ? toUrlFriendly(value) : undefined),
+    ignore: (value) => {
+        if (['', 'yes', 'true'].includes(value.toLowerCase())) return true;
+        if (['no', 'false'].includes(value.toLowerCase())) return false;
+        return undefined;
+    },
+};
+
+// Describes what each directive expects, for when its value can't be used
+const directiveExpectations = {
+    mode: `one of ${configSchema.travelModes.join(', ')}`,
+    buffer: 'a number of minutes',
+    route: 'the name of a route',
+    origin: 'an address',
+    ignore: 'yes or no',
+};
+
+/**
+ * Reads the directives from the notes of a calendar event. Notes are usually typed on an iPhone, so the punctuation that iOS autocorrect swaps in
+ * (fancy quotes, dashes, non-breaking spaces, a capital first letter or a trailing full stop) is tidied up first. Lines that don't start with a
+ * directive name are left alone, so the notes can still be used for anything else.
+ * @param {string} notes The notes of the calendar event
+ * @returns <code>{options: Object, errors: Array}</code>. The options has a value for each directive found, and errors describes any directives
+ * whose value couldn't be used.
+ */
+function parseDirectives(notes) {
+    const options = {};
+    const errors = [];
+
+    for (const noteLine of (notes || '').split('\n')) {
+        const line = replaceFancyQuotes(noteLine)
+            .replaceAll(/[\u00a0\u2007\u202f]/g, ' ')
+            .replaceAll(/[–—]/g, '-')
+            .replaceAll('：', ':')
+            .trim()
+            .replace(/[.;,]+$/, '');
+
+        const directiveMatch = line.match(
+            /^(mode|buffer|route|origin|ignore)\s*(?::\s*(.*))?$/i
+        );
+        if (!directiveMatch) continue;
+
+        const name = directiveMatch[1].toLowerCase();
+        const value = (directiveMatch[2] || '')
+            .trim()
+            .replace(/^["'](.*)["']$/, '$1');
+        const parsedValue = eventDirectives[name](value);
+
+        if (parsedValue === undefined) {
+            errors.push(
+                `${name}: "${value}" should be ${directiveExpectations[name]}`
+            );
+        } else {
+            options[name] = parsedValue;
+        }
+    }
+
+    return { options, errors };
+}
+
+/**
+ * Takes out any video-call links and names from an event location, e.g. a Zoom or Teams URL, as they can't be travelled to.
+ * @param {string} location The location of the calendar event
+ * @returns {string} What is left of the location, which is empty if it was only a video call
+ */
+function getPhysicalLocation(location) {
+    let physicalLocation = location || '';
+    for (const pattern of kVideoCallPatterns) {
+        physicalLocation = physicalLocation.replaceAll(pattern, ' ');
+    }
+
+    // Whatever separated the video call from the rest of the location goes too, e.g. the "; " in "Room 4; https://zoom.us/j/123"
+    physicalLocation = physicalLocation
+        .replaceAll(/\s+/g, ' ')
+        .replace(/^[\s,;|/-]+/, '')
+        .replace(/[\s,;|/-]+$/, '');
+
+    return /[\p{L}\p{N}]/u.test(physicalLocation) ? physicalLocation : '';
+}
+
+/**
+ * Converts a calendar event into the event object used throughout this module. The location is made URL-friendly so that it can be passed
+ * straight to the routing provider, and the directives in the notes become its options.
+ * @param {CalendarEvent} ev The calendar event
+ * @returns The event object: <code>{title, location, time, endTime, identifier, options, directiveErrors}</code>, where location is empty if the event
+ * is only a video call
+ */
+function toTravelEvent(ev) {
+    const { options, errors } = parseDirectives(ev.notes);
+
+    return {
+        title: ev.title,
+        location: toUrlFriendly(getPhysicalLocation(ev.location)),
+        time: ev.startDate,
+        endTime: ev.endDate,
+        identifier: ev.identifier,
+        // The other people at the event, who may want to know if the user is running late
+        attendees: (ev.attendees || [])
+            .filter((attendee) => !attendee.isCurrentUser && attendee.name)
+            .map((attendee) => ({ name: attendee.name, role: attendee.role })),
+        options: options,
+        directiveErrors: errors,
+    };
+}
+
+/**
+ * Checks a calendar event against the event filters in the config, to leave out events that aren't worth travelling to: all-day events,
+ * events the user has declined, events marked as free, and events whose titles mark them as cancelled.
+ * @param {CalendarEvent} ev The calendar event
+ * @param {Object} filters The <code>event_filters</code> from the validated config
+ * @returns {boolean} True if the event passes the filters
+ */
+function isWantedEvent(ev, filters) {
+    if (ev.isAllDay && !filters.include_all_day) {
+        return false;
+    }
+
+    if (filters.exclude_availability.includes(ev.availability)) {
+        return false;
+    }
+
+    const myStatus = (ev.attendees || []).find(
+        (attendee) => attendee.isCurrentUser
+    )?.status;
+    if (myStatus && filters.exclude_attendee_statuses.includes(myStatus)) {
+        return false;
+    }
+
+    const titleMatches = (pattern) => new RegExp(pattern, 'i').test(ev.title);
+    if (
+        filters.include_title_patterns.length > 0 &&
+        !filters.include_title_patterns.some(titleMatches)
+    ) {
+        return false;
+    }
+
+    return !filters.exclude_title_patterns.some(titleMatches);
+}
+
+/**
+ * Finds the calendars to check for events. Calendars that can't be found are left out.
  * @async
- * @param {string} calendarName The name of the calendar to retrieve events from
- * @returns A Promise resolving to the nextEvent object, which contains all the detail of the next event from the specified calendar
+ * @param {Array} calendarNames The names of the calendars
+ * @returns A Promise resolving to <code>{calendars: Array, missingNames: Array}</code>, where missingNames are the names of the calendars that couldn't be found
  */
-async function getNextEvent(calendarName) {
-    if (DEBUG) logger.pushFunction('getNextEvent', 'getTravelTime');
+async function getCalendars(calendarNames) {
+    const calendars = [];
+    const missingNames = [];
+
+    for (const calendarName of calendarNames) {
+        try {
+            calendars.push(await Calendar.forEventsByTitle(calendarName));
+        } catch (err) {
+            if (DEBUG) logger.writeToLogFile(err, 'getTravelTime', 'WARN');
+            missingNames.push(calendarName);
+        }
+    }
+
+    return { calendars, missingNames };
+}
+
+/**
+ * Works out how far ahead to look for upcoming events: until the end of the day, or to the end of the lookahead window if that is later, so that
+ * an event just after midnight is found the evening before.
+ * @param {Object} config The validated config
+ * @returns {Date} The end of the window
+ */
+function getEventWindowEnd(config) {
+    const now = new Date();
+    const windowEnd = new Date(
+        now.getFullYear(),
+        now.getMonth(),
+        now.getDate() + 1
+    );
+    windowEnd.setTime(
+        Math.max(
+            windowEnd.getTime(),
+            now.getTime() + config.lookahead_minutes * 60 * 1000
+        )
+    );
 
-    const destinationCalendar = await Calendar.forEventsByTitle(calendarName);
-    const destinationEvents = await CalendarEvent.today([destinationCalendar]);
+    return windowEnd;
+}
+
+/**
+ * Gets the upcoming events in the calendars that have somewhere to travel to, in the order that they start, until the end of the window from
+ * getEventWindowEnd.
+ * @async
+ * @param {Array} calendars The calendars to retrieve events from, from getCalendars
+ * @param {Object} config The validated config
+ * @returns A Promise resolving to an Array of event objects from toTravelEvent
+ */
+async function getUpcomingEvents(calendars, config) {
+    if (DEBUG) logger.pushFunction('getUpcomingEvents', 'getTravelTime');
+
+    const now = new Date();
+    const windowEnd = getEventWindowEnd(config);
+
+    const calendarEvents = await CalendarEvent.between(
+        now,
+        windowEnd,
+        calendars
+    );
 
     if (DEBUG)
         logger.writeToLogFile(
-            'Retrieved calendar events for today',
-            'getNextEvent'
+            `Retrieved ${calendarEvents.length} calendar events until ${windowEnd}`,
+            'getUpcomingEvents'
+        );
+
+    // Only events that are still to start, pass the event filters, have a location that isn't a video call and aren't marked to be
+    // ignored are of any interest
+    const upcomingEvents = calendarEvents
+        .filter(
+            (ev) =>
+                ev.startDate > now && isWantedEvent(ev, config.event_filters)
+        )
+        .sort((ev1, ev2) => ev1.startDate - ev2.startDate)
+        .map(toTravelEvent)
+        .filter((ev) => ev.location.length > 0 && !ev.options.ignore);
+
+    if (DEBUG) {
+        logger.writeToLogFile(
+            `${upcomingEvents.length} upcoming events with a location`,
+            'getUpcomingEvents'
         );
+        logger.popFunction('getUpcomingEvents');
+    }
+
+    return upcomingEvents;
+}
+
+/**
+ * Gets the next event from the upcoming events, provided it starts within the lookahead window.
+ * @param {Array} upcomingEvents The upcoming events from getUpcomingEvents
+ * @param {number} lookaheadMinutes Events that start further away than this are ignored
+ * @returns The nextEvent object, which contains all the detail of the next event. If there is no next event, its title is 'none'.
+ */
+function getNextEvent(upcomingEvents, lookaheadMinutes) {
+    if (DEBUG) logger.pushFunction('getNextEvent', 'getTravelTime');
 
     const endOfTheDay = new Date();
     endOfTheDay.setHours(0);
@@ -93,42 +547,18 @@ async function getNextEvent(calendarName) {
     endOfTheDay.setMilliseconds(0);
     endOfTheDay.setDate(endOfTheDay.getDate() + 1);
 
-    if (DEBUG)
-        logger.writeToLogFile(
-            'endOfTheDay date set to ' + endOfTheDay,
-            'getNextEvent'
-        );
-
-    const now = new Date();
-
-    let nextEvent = {
-        title: 'none',
-        location: null,
-        time: endOfTheDay,
-        options: {},
-    };
-
-    for (const ev of destinationEvents) {
-        // Check for the following:
-        // - the start time of the event is in the future
-        // - the start time is closer than the nextEvent
-        // - the start time is closer than 2 hours away
-        // - the event has a location specified
-        if (
-            ev.startDate > now &&
-            ev.startDate < nextEvent.time &&
-            (ev.startDate - now) / 60 / 1000 <= 120 &&
-            ev.location?.length > 0
-        ) {
-            nextEvent = {
-                title: ev.title,
-                location: ev.location
-                    .replaceAll(/[ \n]/gi, '+')
-                    .replaceAll(/,/gi, '')
-                    .replaceAll(/–/gi, '-'),
-                time: ev.startDate,
-            };
-        }
+    // The events are in start order, so the next event is the first one if it is within the lookahead window (2 hours by default)
+    let nextEvent = upcomingEvents[0];
+    if (
+        !nextEvent ||
+        (nextEvent.time - Date.now()) / 60 / 1000 > lookaheadMinutes
+    ) {
+        nextEvent = {
+            title: 'none',
+            location: null,
+            time: endOfTheDay,
+            options: {},
+        };
     }
 
     if (DEBUG) {
@@ -143,14 +573,53 @@ async function getNextEvent(calendarName) {
 }
 
 /**
- * Gets the current location of the device and saves it to the Keychain (key: "LAST_LOC_LAT_LONG"). If retrieving the current location fails, it will seek to return the last
- * known location that is stored in the Keychain.
+ * Sends the trip to a destination given by the caller, e.g. from Shortcuts, instead of the location of the next event. The destination can be
+ * an address or the name of a known place, in which case the first of its location names is used. If there is a next event, the trip still has
+ * to arrive by its start time; otherwise the trip leaves now.
+ * @param {Object} nextEvent The nextEvent object from getNextEvent
+ * @param {string} destination The address or known place name to travel to
+ * @param {Object} config The validated config
+ * @returns The nextEvent object for the trip to the destination. Its <code>leaveNow</code> is true if there was no next event.
+ */
+function getDestinationEvent(nextEvent, destination, config) {
+    const knownPlace = config.known_places.find(
+        (place) =>
+            place.name &&
+            normaliseAddress(place.name) === normaliseAddress(destination) &&
+            place.location_names.length > 0
+    );
+    const location = toUrlFriendly(
+        knownPlace ? knownPlace.location_names[0] : destination.trim()
+    );
+
+    if (nextEvent.title !== 'none') {
+        return { ...nextEvent, location: location };
+    }
+
+    const now = new Date();
+    return {
+        title: knownPlace ? knownPlace.name : destination.trim(),
+        location: location,
+        time: now,
+        endTime: now,
+        identifier: `destination|${location}`,
+        attendees: [],
+        options: {},
+        directiveErrors: [],
+        leaveNow: true,
+    };
+}
+
+/**
+ * Gets the current location of the device and saves it to the Keychain (key: "LAST_LOC_LAT_LONG"), along with when it was found. If retrieving the current location fails,
+ * it will seek to return the last known location that is stored in the Keychain, with <code>lastKnown</code> set.
  * <p>
  * When attempting to retrieve the current location from the device, it will set the accuracy to within 100m. Best accuracy takes up to 10s to compute, while at 100m it is less
  * than a second. This is deemed to be the greatest balance between speed and accuracy.
  * </p>
  * @async
- * @returns A Promise resolving to the myLocation object, which contains the detail from the device on the current location.
+ * @returns A Promise resolving to the myLocation object, which contains the detail from the device on the current location and the <code>timestamp</code> it was
+ * found at. Resolves to null if the device can't provide a location and there is no last known location in the Keychain.
  */
 async function getCurrentLocation() {
     if (DEBUG) logger.pushFunction('getCurrentLocation', 'getTravelTime');
@@ -175,7 +644,18 @@ async function getCurrentLocation() {
                 'Could not retrieve location from device, so looking for it in the keychain',
                 'getCurrentLocation'
             );
-        myLocation = JSON.parse(Keychain.get('LAST_LOC_LAT_LONG'));
+        myLocation = null;
+        if (Keychain.contains('LAST_LOC_LAT_LONG')) {
+            try {
+                myLocation = {
+                    ...JSON.parse(Keychain.get('LAST_LOC_LAT_LONG')),
+                    lastKnown: true,
+                };
+            } catch (err) {
+                if (DEBUG)
+                    logger.writeToLogFile(err, 'getCurrentLocation', 'ERROR');
+            }
+        }
         if (DEBUG)
             logger.writeToLogFile(
                 'Location retrieved from keychain: ' +
@@ -188,6 +668,7 @@ async function getCurrentLocation() {
                 'Recording location in keychain',
                 'getCurrentLocation'
             );
+        myLocation = { ...myLocation, timestamp: Date.now() };
         Keychain.set('LAST_LOC_LAT_LONG', JSON.stringify(myLocation));
     }
 
@@ -203,42 +684,166 @@ async function getCurrentLocation() {
 }
 
 /**
- * Returns all possible routes for the destination returned from the Google Directions Web API.
+ * Converts a time of day in the form HH:MM into minutes since midnight.
+ * @param {string} time The time of day, e.g. "07:30"
+ * @returns {number} The minutes since midnight
+ */
+function getMinutesOfDay(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Works out whether a time falls within one of the <code>use_during</code> rules of a named origin. A rule whose <code>until</code> is earlier than its
+ * <code>from</code> runs past midnight, in which case the early hours count as part of the day the rule started on.
+ * @param {Object} rule The rule: <code>{days: Array, from: string, until: string}</code>, where days are 0 for Sunday to 6 for Saturday, and empty for every day
+ * @param {Date} time The time to check
+ * @returns {boolean} True if the rule applies at the time
+ */
+function isInTimeRule(rule, time) {
+    const minutes = time.getHours() * 60 + time.getMinutes();
+    const from = getMinutesOfDay(rule.from);
+    const until = getMinutesOfDay(rule.until);
+
+    let ruleDay = time.getDay();
+    let inRule = minutes >= from && minutes < until;
+    if (from > until) {
+        inRule = minutes >= from || minutes < until;
+        if (minutes < until) ruleDay = (ruleDay + 6) % 7;
+    }
+
+    return inRule && (rule.days.length === 0 || rule.days.includes(ruleDay));
+}
+
+/**
+ * Looks up a named origin from the config. The name is matched the same way as known place names, ignoring case, punctuation and spacing.
+ * @param {Object} config The validated config
+ * @param {string} name The name of the origin, e.g. "Home"
+ * @returns <code>{location, name}</code>, where location is the origin's coordinates if it has them or its URL-friendly address if not, or null if
+ * there is no usable origin with the name
+ */
+function getNamedOrigin(config, name) {
+    const origin = config.origins.find(
+        (origin) => normaliseAddress(origin.name) === normaliseAddress(name)
+    );
+
+    if (Number.isFinite(origin?.location?.latitude)) {
+        return { location: origin.location, name: origin.name };
+    }
+
+    if (origin?.address) {
+        return { location: toUrlFriendly(origin.address), name: origin.name };
+    }
+
+    return null;
+}
+
+/**
+ * Works out where the trip to an event starts from. In order of preference, this is:
+ * <ul>
+ * <li><code>event</code>: the origin in the event notes, which can be the name of a named origin or an address</li>
+ * <li><code>schedule</code>: a named origin whose <code>use_during</code> rules apply now, e.g. planning the school run from home while still at work</li>
+ * <li><code>device</code> or <code>last known</code>: the current location, provided it is no older than <code>location_max_age_minutes</code></li>
+ * <li><code>fallback</code>: the named origin given by <code>fallback_origin</code>, so that a stale location from another city isn't used</li>
+ * </ul>
+ * @async
+ * @param {Object} event The event object from getUpcomingEvents
+ * @param {Object} config The validated config
+ * @param {Function} getDeviceLocation Returns a Promise that resolves to the current location from getCurrentLocation, so that the device is only
+ * asked for its location if it is needed
+ * @returns A Promise that resolves to <code>{location, name, source}</code>, where location is as per getNamedOrigin, or null if there is nowhere to start from
+ */
+async function getOrigin(event, config, getDeviceLocation) {
+    if (event.options.origin) {
+        return {
+            ...(getNamedOrigin(config, event.options.origin) || {
+                location: event.options.origin,
+                name: event.options.origin.replaceAll('+', ' '),
+            }),
+            source: 'event',
+        };
+    }
+
+    const now = new Date();
+    const scheduledOrigin = config.origins.find((origin) =>
+        origin.use_during.some((rule) => isInTimeRule(rule, now))
+    );
+    const namedOrigin =
+        scheduledOrigin && getNamedOrigin(config, scheduledOrigin.name);
+    if (namedOrigin) {
+        return { ...namedOrigin, source: 'schedule' };
+    }
+
+    const deviceLocation = await getDeviceLocation();
+    const maxAgeMinutes = config.location_max_age_minutes;
+    if (
+        deviceLocation &&
+        (maxAgeMinutes === 0 ||
+            Date.now() - (deviceLocation.timestamp || 0) <=
+                maxAgeMinutes * 60 * 1000)
+    ) {
+        return {
+            location: deviceLocation,
+            name: 'Current location',
+            source: deviceLocation.lastKnown ? 'last known' : 'device',
+        };
+    }
+
+    const fallbackOrigin =
+        config.fallback_origin &&
+        getNamedOrigin(config, config.fallback_origin);
+    if (fallbackOrigin) {
+        return { ...fallbackOrigin, source: 'fallback' };
+    }
+
+    return null;
+}
+
+/**
+ * Returns all possible routes for the destination returned from the configured routing provider (the Google Directions Web API by default).
  * @async
- * @param {string} apiKey The Google Maps Directions API key
- * @param {Object} myLocation Location data. The <code>longitude</code> and <code>latitude</code> values are passed to the Google Maps API as the starting location for the route.
- * @param {string} destination The string representation of the location of the event to travel to. Is passed to the Google API as the destination for the route.
+ * @param {Object} provider The routing provider returned from RoutingProviders.getRoutingProvider
+ * @param {Object|string} myLocation Location data, or a URL-friendly address. The <code>longitude</code> and <code>latitude</code> values (or the address) are passed to the routing provider as the starting location for the route.
+ * @param {string} destination The string representation of the location of the event to travel to. Is passed to the routing provider as the destination for the route.
+ * @param {Object} routeOptions The options to request routes with: <code>{mode: string, departureTime: Date, arrivalTime: Date, avoid: Array}</code>. Refer to
+ * RoutingProviders.fetchRoutes.
  * @returns A Promise that resolves to an Array of possibleRoute objects. If an error occurs, the array will contain only one object in the array and that object will have an error key/value which describes the
  * error.
  */
-async function getPossibleRoutes(apiKey, myLocation, destination) {
+async function getPossibleRoutes(
+    provider,
+    myLocation,
+    destination,
+    routeOptions
+) {
     if (DEBUG) {
         logger.pushFunction('getPossibleRoutes', 'getTravelTime');
         logger.writeToLogFile(
-            'Calling Google Maps API to retrieve directions info',
+            `Calling ${provider.name} routing provider to retrieve directions info`,
             'getPossibleRoutes'
         );
     }
 
-    const mapsUrl = `https://maps.googleapis.com/maps/api/directions/json?key=${apiKey}&origin=${myLocation.latitude},${myLocation.longitude}&destination=${destination}&alternatives=true&departure_time=now&traffic_model=pessimistic`;
-    if (DEBUG)
-        logger.writeToLogFile(
-            "Maps URL = '" + mapsUrl + "'",
-            'getPossibleRoutes'
-        );
+    const routesResult = await routingProviders.fetchRoutes(
+        provider,
+        myLocation,
+        destination,
+        routeOptions
+    );
 
-    const mapsReq = new Request(mapsUrl);
-    const mapsResult = await mapsReq.loadJSON();
+    if (routesResult.status === 'OK' && routesResult.routes.length === 0) {
+        routesResult.status = 'ZERO_RESULTS';
+    }
 
-    if (mapsResult?.status !== 'OK') {
+    if (routesResult.status !== 'OK') {
         if (DEBUG) {
             logger.writeToLogFile(
-                mapsResult?.status,
+                routesResult.status,
                 'getPossibleRoutes',
                 'ERROR'
             );
             logger.writeToLogFile(
-                mapsResult?.error_message,
+                routesResult.error,
                 'getPossibleRoutes',
                 'ERROR'
             );
@@ -247,29 +852,22 @@ async function getPossibleRoutes(apiKey, myLocation, destination) {
         return [
             {
                 name: 'Maps API error',
-                status: mapsResult?.status,
-                error: mapsResult?.error_message,
+                status: routesResult.status,
+                error: routesResult.error,
             },
         ];
     }
 
-    const possibleRoutes = mapsResult.routes
-        .map((route) => {
-            return {
-                name: route.summary,
-                travelTime: route.legs[0].duration_in_traffic.value,
-            };
-        })
-        .sort((route1, route2) => {
-            // Note: this will sort in descending order with the greatest travel time first
-            if (route1.travelTime < route2.travelTime) {
-                return 1;
-            } else if (route1.travelTime > route2.travelTime) {
-                return -1;
-            } else {
-                return 0;
-            }
-        });
+    const possibleRoutes = routesResult.routes.sort((route1, route2) => {
+        // Note: this will sort in descending order with the greatest travel time first
+        if (route1.travelTime < route2.travelTime) {
+            return 1;
+        } else if (route1.travelTime > route2.travelTime) {
+            return -1;
+        } else {
+            return 0;
+        }
+    });
 
     if (DEBUG) {
         logger.writeToLogFile(
@@ -283,35 +881,289 @@ async function getPossibleRoutes(apiKey, myLocation, destination) {
 }
 
 /**
- * Chooses a route from possibleRoutes array and returns it. Will first check whether the destination is a known place (is contained in the knownPlaces array).
- * If not, will return the route with the greatest travel time, which is the first in the possibleRoutes array since it is sorted by greatest to least travel time.
- * @param {Array} possibleRoutes Array of possibleRoute objects.
- * @param {Array} knownPlaces Array of known places that were pulled from the config.json file.
- * @param {string} destination The destination string that was passed to the Google Maps Directions API.
- * @returns chosenRoute object, which has details of the route that was chosen.
+ * Returns the routes for the destination from the directions cache if they are fresh enough, otherwise from the routing provider via getPossibleRoutes.
+ * How long cached routes stay fresh shortens as the event approaches. Calls to the routing provider are counted against the monthly API budget, and
+ * once the budget is used up the last routes fetched for the destination are returned instead, however old they are.
+ * @async
+ * @param {Object} provider The routing provider returned from RoutingProviders.getRoutingProvider
+ * @param {Object|string} myLocation Location data with <code>latitude</code> and <code>longitude</code> values, or a URL-friendly address
+ * @param {string} destination The string representation of the location of the event to travel to
+ * @param {Object} routeOptions The options to request routes with: <code>{mode: string, departureTime: Date, arrivalTime: Date, avoid: Array}</code>
+ * @param {number} minutesUntilEvent How long until the event starts
+ * @param {Object} config The validated config
+ * @returns A Promise that resolves to <code>{possibleRoutes: Array, timestamp: number, stale: boolean, fromCache: boolean}</code>, where timestamp is when
+ * the routes were fetched from the provider. possibleRoutes is as per getPossibleRoutes, or null if the budget is used up and there are no routes to fall back on.
  */
-function getChosenRoute(possibleRoutes, knownPlaces, destination) {
-    if (DEBUG) logger.pushFunction('getChosenRoute', 'getTravelTime');
+async function getCachedPossibleRoutes(
+    provider,
+    myLocation,
+    destination,
+    routeOptions,
+    minutesUntilEvent,
+    config
+) {
+    if (DEBUG) logger.pushFunction('getCachedPossibleRoutes', 'getTravelTime');
 
-    let chosenRoute = null;
-    const knownPlace = knownPlaces.find((place) =>
-        place.location_names.includes(destination)
+    const cacheKey = directionsCache.getCacheKey(
+        provider.name,
+        routeOptions,
+        destination,
+        myLocation,
+        config.cache.origin_cell_metres
     );
+    const ttlMinutes = Math.min(
+        Math.max(
+            minutesUntilEvent * config.cache.ttl_event_fraction,
+            config.cache.min_ttl_minutes
+        ),
+        config.cache.max_ttl_minutes
+    );
+
+    const cachedEntry = directionsCache.getRoutes(cacheKey, ttlMinutes * 60);
+    if (cachedEntry) {
+        if (DEBUG) {
+            logger.writeToLogFile(
+                `Using cached routes from ${new Date(cachedEntry.timestamp)}`,
+                'getCachedPossibleRoutes'
+            );
+            logger.popFunction('getCachedPossibleRoutes');
+        }
+
+        return {
+            possibleRoutes: cachedEntry.routes,
+            timestamp: cachedEntry.timestamp,
+            stale: false,
+            fromCache: true,
+        };
+    }
+
+    const monthlyLimit = config.api_budget.monthly_call_limit;
+    if (
+        provider.metered &&
+        monthlyLimit > 0 &&
+        directionsCache.getMonthlyCalls() >= monthlyLimit
+    ) {
+        const lastResult = directionsCache.getLastResult(
+            routeOptions.mode,
+            destination
+        );
+
+        if (DEBUG) {
+            logger.writeToLogFile(
+                `Monthly API budget of ${monthlyLimit} calls used up, falling back to ${JSON.stringify(
+                    lastResult
+                )}`,
+                'getCachedPossibleRoutes',
+                'WARN'
+            );
+            logger.popFunction('getCachedPossibleRoutes');
+        }
+
+        return {
+            possibleRoutes: lastResult?.routes || null,
+            timestamp: lastResult?.timestamp,
+            stale: true,
+            fromCache: true,
+        };
+    }
+
+    const possibleRoutes = await getPossibleRoutes(
+        provider,
+        myLocation,
+        destination,
+        routeOptions
+    );
+
+    // Only successful calls to a service that charges for them count against the API budget
+    if (possibleRoutes[0].name !== 'Maps API error') {
+        if (provider.metered) directionsCache.recordApiCall();
+        directionsCache.putRoutes(
+            cacheKey,
+            routeOptions.mode,
+            destination,
+            possibleRoutes
+        );
+    }
+    directionsCache.saveCache(config.cache.max_ttl_minutes * 60);
+
+    if (DEBUG) logger.popFunction('getCachedPossibleRoutes');
 
-    if (knownPlace) {
+    return {
+        possibleRoutes: possibleRoutes,
+        timestamp: Date.now(),
+        stale: false,
+        fromCache: false,
+    };
+}
+
+/**
+ * Normalises an address so that addresses that only differ in case, punctuation or spacing match, e.g. "1 Smith St., Fitzroy" and the URL-friendly
+ * "1+Smith+St+Fitzroy".
+ * @param {string} address The address to normalise
+ * @returns {string} The normalised address
+ */
+function normaliseAddress(address) {
+    return address
+        .toLowerCase()
+        .replaceAll('+', ' ')
+        .replaceAll(/[^\p{L}\p{N} ]/gu, '')
+        .replaceAll(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Works out the distance between two locations along the surface of the Earth.
+ * @param {Object} from Location data with <code>latitude</code> and <code>longitude</code> values
+ * @param {Object} to Location data with <code>latitude</code> and <code>longitude</code> values
+ * @returns {number} The distance in metres
+ */
+function getDistanceMetres(from, to) {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const latitudeDelta = toRadians(to.latitude - from.latitude);
+    const longitudeDelta = toRadians(to.longitude - from.longitude);
+
+    const a =
+        Math.sin(latitudeDelta / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) *
+            Math.cos(toRadians(to.latitude)) *
+            Math.sin(longitudeDelta / 2) ** 2;
+
+    return kEarthRadiusMetres * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Finds the known place from the config.json file that the destination matches, if any. A known place matches if, in order of preference:
+ * <ul>
+ * <li>one of its location_names is the destination, ignoring case, punctuation and spacing</li>
+ * <li>its place_id is the place id the routing provider geocoded the destination to</li>
+ * <li>the routes end within its radius (or the default radius) of its location</li>
+ * </ul>
+ * Before any routes have been fetched, only the location_names can be matched.
+ * @param {Array} knownPlaces Array of known places that were pulled from the config.json file.
+ * @param {string} destination The destination string that was passed to the routing provider.
+ * @param {Array} possibleRoutes The routes to the destination, if they have been fetched.
+ * @param {number} defaultRadiusMetres How close the routes need to end to a known place that doesn't have its own radius_metres.
+ * @returns The matching known place object, or undefined if the destination is not a known place.
+ */
+function findKnownPlace(
+    knownPlaces,
+    destination,
+    possibleRoutes = [],
+    defaultRadiusMetres = 0
+) {
+    const normalisedDestination = normaliseAddress(destination);
+    const namedPlace = knownPlaces.find((place) =>
+        place.location_names.some(
+            (name) => normaliseAddress(name) === normalisedDestination
+        )
+    );
+    if (namedPlace) return namedPlace;
+
+    // All the routes go to the same destination, so any of them will do for the place id and end location
+    const placeId = possibleRoutes.find((route) => route.placeId)?.placeId;
+    const identifiedPlace =
+        placeId && knownPlaces.find((place) => place.place_id === placeId);
+    if (identifiedPlace) return identifiedPlace;
+
+    const endLocation = possibleRoutes.find(
+        (route) => route.endLocation
+    )?.endLocation;
+    if (!endLocation) return undefined;
+
+    let nearestPlace = undefined;
+    let nearestDistance = Infinity;
+    for (const place of knownPlaces) {
+        if (!Number.isFinite(place.location?.latitude)) continue;
+
+        const distance = getDistanceMetres(endLocation, place.location);
+        if (
+            distance <= (place.radius_metres ?? defaultRadiusMetres) &&
+            distance < nearestDistance
+        ) {
+            nearestPlace = place;
+            nearestDistance = distance;
+        }
+    }
+
+    return nearestPlace;
+}
+
+/**
+ * Returns the route preferences for a trip: the global route preferences, overridden by any that are set for the known place.
+ * @param {Object} config The validated config
+ * @param {Object} knownPlace The known place from findKnownPlace, if the destination is one
+ * @returns The route preferences: <code>{avoid: Array, max_detour_percent: number}</code>
+ */
+function getRoutePreferences(config, knownPlace) {
+    return { ...config.route_preferences, ...knownPlace?.route_preferences };
+}
+
+/**
+ * Chooses a route from possibleRoutes array and returns it, along with the reason it was chosen. Routes that take more than the maximum detour longer than
+ * the fastest route are left out, unless the route is given in the event notes. Will first check for a route given in the event notes, then for the preferred
+ * routes of the known place the destination matched, in the order they are listed. If neither gives a route, will choose the route with the greatest travel
+ * time, which is the first in the possibleRoutes array since it is sorted by greatest to least travel time.
+ * @param {Array} possibleRoutes Array of possibleRoute objects.
+ * @param {Object} knownPlace The known place from findKnownPlace, if the destination is one.
+ * @param {string} eventRoute The route given by the <code>route</code> directive in the event notes, if any.
+ * @param {number} maxDetourPercent How much longer than the fastest route a route can take, as a percentage. If undefined, there is no limit.
+ * @returns <code>{chosenRoute, reason}</code>, where chosenRoute has details of the route that was chosen and reason describes why.
+ */
+function getChosenRoute(
+    possibleRoutes,
+    knownPlace,
+    eventRoute,
+    maxDetourPercent
+) {
+    if (DEBUG) logger.pushFunction('getChosenRoute', 'getTravelTime');
+
+    let chosenRoute = null;
+    let reason = '';
+
+    if (eventRoute) {
+        chosenRoute = possibleRoutes.find(
+            (route) => route.name.toLowerCase() === eventRoute.toLowerCase()
+        );
+        reason = 'Route from the event notes';
+    }
+
+    const fastestTravelTime = Math.min(
+        ...possibleRoutes.map((route) => route.travelTime)
+    );
+    const candidateRoutes =
+        maxDetourPercent === undefined
+            ? possibleRoutes
+            : possibleRoutes.filter(
+                  (route) =>
+                      route.travelTime <=
+                      fastestTravelTime * (1 + maxDetourPercent / 100)
+              );
+
+    if (!chosenRoute && knownPlace) {
         if (DEBUG)
             logger.writeToLogFile(
-                destination +
-                    " is a known place. Let's see if there's a matching preferred route...",
+                `The destination is known place ${
+                    knownPlace.name || knownPlace.location_names[0]
+                }. Let's see if there's a matching preferred route...`,
                 'getChosenRoute'
             );
 
-        chosenRoute = possibleRoutes.find((route) =>
-            knownPlace.preferred_routes.includes(route.name)
-        );
+        // The preferred routes are listed in order of preference, so the first one that was found wins
+        for (const preferredRoute of knownPlace.preferred_routes) {
+            chosenRoute = candidateRoutes.find(
+                (route) => route.name === preferredRoute
+            );
+
+            if (chosenRoute) {
+                reason = `Preferred route for ${
+                    knownPlace.name || 'this place'
+                }`;
+                break;
+            }
+        }
     }
 
-    // If we still don't have a chosen route here, set it to the first in the possibleRoutes array (will be the route with the longest travel time)
+    // If we still don't have a chosen route here, set it to the first of the candidate routes (will be the route with the longest travel time)
     if (!chosenRoute) {
         if (DEBUG)
             logger.writeToLogFile(
@@ -319,7 +1171,11 @@ function getChosenRoute(possibleRoutes, knownPlaces, destination) {
                 'getChosenRoute'
             );
 
-        chosenRoute = possibleRoutes[0];
+        chosenRoute = candidateRoutes[0];
+        reason =
+            candidateRoutes.length < possibleRoutes.length
+                ? `Slowest route within ${maxDetourPercent}% of the fastest`
+                : 'Slowest route found';
     } else {
         if (DEBUG)
             logger.writeToLogFile(
@@ -329,108 +1185,1062 @@ function getChosenRoute(possibleRoutes, knownPlaces, destination) {
     }
 
     if (DEBUG) logger.popFunction('getChosenRoute');
-    return chosenRoute;
+    return { chosenRoute, reason };
+}
+
+/**
+ * Adds the pessimism buffer to a travel time: a percentage of the travel time or a minimum number of minutes, whichever is greater. A buffer given in the
+ * event notes is used instead, if there is one.
+ * @param {number} travelTimeSeconds The travel time from the routing provider
+ * @param {boolean} bePessimistic Whether to add the buffer at all
+ * @param {Object} config The validated config
+ * @param {number} eventBufferMinutes The buffer given by the <code>buffer</code> directive in the event notes, if any
+ * @returns {number} The buffered travel time in seconds
+ */
+function getBufferedTravelTime(
+    travelTimeSeconds,
+    bePessimistic,
+    config,
+    eventBufferMinutes
+) {
+    if (!bePessimistic) {
+        return travelTimeSeconds;
+    }
+
+    if (eventBufferMinutes !== undefined) {
+        return travelTimeSeconds + eventBufferMinutes * 60;
+    }
+
+    return (
+        travelTimeSeconds +
+        Math.max(
+            Math.ceil((travelTimeSeconds * config.pessimism.percent) / 100),
+            config.pessimism.minimum_minutes * 60
+        )
+    );
+}
+
+/**
+ * Works out the travel time to the destination for one departure (or arrival) time: gets the possible routes, chooses the route to use and adds the
+ * pessimism buffer to its travel time.
+ * @async
+ * @param {Object} provider The routing provider returned from RoutingProviders.getRoutingProvider
+ * @param {Object|string} myLocation Location data with <code>latitude</code> and <code>longitude</code> values, or the address of a previous event
+ * @param {Object} nextEvent The nextEvent object from getNextEvent
+ * @param {Object} routeOptions The options to request routes with: <code>{mode: string, departureTime: Date, arrivalTime: Date}</code>
+ * @param {boolean} bePessimistic Whether to add the pessimism buffer to the travel time
+ * @param {Object} config The validated config
+ * @returns A Promise that resolves to the estimate: <code>{status, statusMessage, possibleRoutes, knownPlace, chosenRoute, routeReason, travelTimeSeconds, timestamp, stale,
+ * fromCache}</code>.
+ * If the status is not OK, only the status and statusMessage are set.
+ */
+async function getRouteEstimate(
+    provider,
+    myLocation,
+    nextEvent,
+    routeOptions,
+    bePessimistic,
+    config
+) {
+    // The features to avoid have to be known before the routes are requested, so only a known place that matches by name can override them
+    const { avoid } = getRoutePreferences(
+        config,
+        findKnownPlace(config.known_places, nextEvent.location)
+    );
+
+    const { possibleRoutes, timestamp, stale, fromCache } =
+        await getCachedPossibleRoutes(
+            provider,
+            myLocation,
+            nextEvent.location,
+            { ...routeOptions, avoid: avoid },
+            (nextEvent.time - Date.now()) / 60 / 1000,
+            config
+        );
+
+    if (!possibleRoutes) {
+        return {
+            status: travelStatus.OVER_BUDGET,
+            statusMessage: `The monthly API budget of ${config.api_budget.monthly_call_limit} calls has been used up`,
+        };
+    }
+
+    if (possibleRoutes[0].name === 'Maps API error') {
+        return {
+            status:
+                providerStatuses[possibleRoutes[0].status] ||
+                travelStatus.MAPS_ERROR,
+            statusMessage: `${provider.name} returned status ${possibleRoutes[0].status} - "${possibleRoutes[0].error}"`,
+        };
+    }
+
+    if (DEBUG)
+        logger.writeToLogFile(
+            'possibleRoutes = ' + JSON.stringify(possibleRoutes),
+            'getTravelTime'
+        );
+
+    const knownPlace = findKnownPlace(
+        config.known_places,
+        nextEvent.location,
+        possibleRoutes,
+        config.known_place_radius_metres
+    );
+
+    // If there is a route in the event notes or a preferred route set in the config, try to use that for the chosen route
+    const { chosenRoute, reason } = getChosenRoute(
+        possibleRoutes,
+        knownPlace,
+        nextEvent.options.route,
+        getRoutePreferences(config, knownPlace).max_detour_percent
+    );
+
+    if (DEBUG)
+        logger.writeToLogFile(
+            `Travel time to ${nextEvent.title} is ${Math.ceil(
+                chosenRoute.travelTime / 60
+            )} minutes using ${chosenRoute.name}`,
+            'getTravelTime'
+        );
+
+    return {
+        status: travelStatus.OK,
+        possibleRoutes: possibleRoutes,
+        knownPlace: knownPlace,
+        chosenRoute: chosenRoute,
+        routeReason: reason,
+        travelTimeSeconds: getBufferedTravelTime(
+            chosenRoute.travelTime,
+            bePessimistic,
+            config,
+            nextEvent.options.buffer
+        ),
+        timestamp: timestamp,
+        stale: stale,
+        fromCache: fromCache,
+    };
+}
+
+/**
+ * Works out when to leave to arrive in time for the event. If that is still some way off the travel time is estimated again for that departure
+ * time rather than for now, so that it reflects the traffic at the time we would actually be travelling. Each new estimate moves the departure
+ * time, so this is repeated until the departure time settles or the configured number of iterations runs out. Transit routes are planned by
+ * arrival time instead, which the provider can do in one go.
+ * @async
+ * @param {Object} provider The routing provider returned from RoutingProviders.getRoutingProvider
+ * @param {Object|string} myLocation Location data with <code>latitude</code> and <code>longitude</code> values, or the origin from the event notes
+ * @param {Object} nextEvent The nextEvent object from getNextEvent
+ * @param {string} travelMode The travel mode
+ * @param {boolean} bePessimistic Whether to add the pessimism buffer to the travel time
+ * @param {Object} config The validated config
+ * @returns A Promise that resolves to the estimate from getRouteEstimate, with a <code>leaveByTime</code> and the <code>departureTime</code> that
+ * the estimate was made for (null for now) added if the status is OK
+ */
+async function getLeaveByEstimate(
+    provider,
+    myLocation,
+    nextEvent,
+    travelMode,
+    bePessimistic,
+    config
+) {
+    if (DEBUG) logger.pushFunction('getLeaveByEstimate', 'getTravelTime');
+
+    const futureDeparture = config.future_departure;
+    const thresholdMs = futureDeparture.threshold_minutes * 60 * 1000;
+    const routeOptions = { mode: travelMode };
+
+    if (
+        futureDeparture.enabled &&
+        travelMode === 'transit' &&
+        nextEvent.time - Date.now() > thresholdMs
+    ) {
+        routeOptions.arrivalTime = nextEvent.time;
+    }
+
+    let estimate = await getRouteEstimate(
+        provider,
+        myLocation,
+        nextEvent,
+        routeOptions,
+        bePessimistic,
+        config
+    );
+
+    if (futureDeparture.enabled && !routeOptions.arrivalTime) {
+        for (
+            let iteration = 0;
+            iteration < futureDeparture.max_iterations &&
+            estimate.status === travelStatus.OK;
+            iteration++
+        ) {
+            const targetDeparture = new Date(
+                nextEvent.time - estimate.travelTimeSeconds * 1000
+            );
+
+            // Close to leaving, current traffic is what we'll be driving in. Otherwise stop once the departure time stops moving.
+            if (targetDeparture - Date.now() < thresholdMs) break;
+            if (
+                routeOptions.departureTime &&
+                Math.abs(targetDeparture - routeOptions.departureTime) <
+                    futureDeparture.tolerance_minutes * 60 * 1000
+            ) {
+                break;
+            }
+
+            if (DEBUG)
+                logger.writeToLogFile(
+                    `Estimating again for departure at ${targetDeparture}`,
+                    'getLeaveByEstimate'
+                );
+
+            const departureOptions = {
+                mode: travelMode,
+                departureTime: targetDeparture,
+            };
+            const departureEstimate = await getRouteEstimate(
+                provider,
+                myLocation,
+                nextEvent,
+                departureOptions,
+                bePessimistic,
+                config
+            );
+
+            // If the later estimate fails (e.g. the budget runs out), stick with the one we have
+            if (departureEstimate.status !== travelStatus.OK) break;
+
+            routeOptions.departureTime = targetDeparture;
+            estimate = departureEstimate;
+        }
+    }
+
+    if (estimate.status === travelStatus.OK) {
+        estimate.departureTime = routeOptions.departureTime || null;
+
+        // A transit route planned by arrival time says when it leaves, and the buffer is taken from that
+        const scheduledDeparture = routeOptions.arrivalTime
+            ? estimate.chosenRoute.departureTime
+            : undefined;
+        estimate.leaveByTime = scheduledDeparture
+            ? new Date(
+                  scheduledDeparture -
+                      (estimate.travelTimeSeconds -
+                          estimate.chosenRoute.travelTime) *
+                          1000
+              )
+            : new Date(nextEvent.time - estimate.travelTimeSeconds * 1000);
+    }
+
+    if (DEBUG) logger.popFunction('getLeaveByEstimate');
+    return estimate;
+}
+
+/**
+ * Samples the travel time for departures every few minutes between now and the leave-by time, and recommends the departure that spends the least
+ * time on the road while still arriving before the event starts. Only worth doing when driving, as that is when the travel time depends on traffic.
+ * Leaving now is never recommended, as that is what the leave-by time is for. The samples are at the start of the directions cache's time
+ * buckets, so that the next refresh can reuse them.
+ * @async
+ * @param {Object} provider The routing provider returned from RoutingProviders.getRoutingProvider
+ * @param {Object|string} myLocation Location data with <code>latitude</code> and <code>longitude</code> values, or the origin from the event notes
+ * @param {Object} nextEvent The nextEvent object from getNextEvent
+ * @param {Object} leaveByEstimate The estimate from getLeaveByEstimate, i.e. for the latest possible departure
+ * @param {boolean} bePessimistic Whether to add the pessimism buffer to the travel time
+ * @param {Object} config The validated config
+ * @returns A Promise that resolves to <code>{time: Date, travelTimeSeconds: number, savingSeconds: number, routeName: string}</code> for the recommended
+ * departure, or null if no departure saves enough time over leaving at the leave-by time
+ */
+async function getBestDeparture(
+    provider,
+    myLocation,
+    nextEvent,
+    leaveByEstimate,
+    bePessimistic,
+    config
+) {
+    if (DEBUG) logger.pushFunction('getBestDeparture', 'getTravelTime');
+
+    const departureWindow = config.departure_window;
+    let bestDeparture = null;
+    let previousDepartureTime = null;
+
+    for (let sample = 0; sample < departureWindow.max_samples; sample++) {
+        const departureTime = directionsCache.alignToTimeBucket(
+            new Date(
+                Date.now() + sample * departureWindow.step_minutes * 60 * 1000
+            )
+        );
+        if (departureTime >= leaveByEstimate.leaveByTime) break;
+
+        // Leaving now is covered by the leave-by time, and steps shorter than a time bucket can land on the same bucket twice
+        if (
+            departureTime <= Date.now() ||
+            departureTime.getTime() === previousDepartureTime?.getTime()
+        ) {
+            continue;
+        }
+        previousDepartureTime = departureTime;
+
+        const estimate = await getRouteEstimate(
+            provider,
+            myLocation,
+            nextEvent,
+            { mode: 'driving', departureTime: departureTime },
+            bePessimistic,
+            config
+        );
+        if (estimate.status !== travelStatus.OK) break;
+
+        const arrivesInTime =
+            departureTime.getTime() + estimate.travelTimeSeconds * 1000 <=
+            nextEvent.time.getTime();
+
+        // On a tie, the later departure wins as it means less waiting around at the other end
+        if (
+            arrivesInTime &&
+            (!bestDeparture ||
+                estimate.travelTimeSeconds <= bestDeparture.travelTimeSeconds)
+        ) {
+            bestDeparture = {
+                time: departureTime,
+                travelTimeSeconds: estimate.travelTimeSeconds,
+                savingSeconds:
+                    leaveByEstimate.travelTimeSeconds -
+                    estimate.travelTimeSeconds,
+                routeName: estimate.chosenRoute.name,
+            };
+        }
+    }
+
+    if (DEBUG) {
+        logger.writeToLogFile(
+            'Best departure: ' + JSON.stringify(bestDeparture),
+            'getBestDeparture'
+        );
+        logger.popFunction('getBestDeparture');
+    }
+
+    if (
+        !bestDeparture ||
+        bestDeparture.savingSeconds < departureWindow.min_saving_minutes * 60
+    ) {
+        return null;
+    }
+
+    return bestDeparture;
+}
+
+/**
+ * Works out how much longer the traffic is making a route take than it would with the roads clear.
+ * @param {Object} route The possibleRoute object
+ * @returns {number} The delay in seconds, or undefined if the routing provider doesn't give travel times without traffic
+ */
+function getTrafficDelaySeconds(route) {
+    return route.freeFlowTime !== undefined
+        ? Math.max(route.travelTime - route.freeFlowTime, 0)
+        : undefined;
+}
+
+/**
+ * Summarises a possible route for the routeInfo. Its travel time is buffered the same way as the chosen route's so that the times can be compared.
+ * @param {Object} route The possibleRoute object
+ * @param {Object} nextEvent The nextEvent object from getNextEvent
+ * @param {boolean} bePessimistic Whether to add the pessimism buffer to the travel time
+ * @param {Object} config The validated config
+ * @returns The summary: <code>{routeName, routeTimeSeconds, travelTimeSeconds, trafficDelaySeconds}</code>, where travelTimeSeconds is without the buffer
+ */
+function getRouteSummary(route, nextEvent, bePessimistic, config) {
+    return {
+        routeName: route.name,
+        routeTimeSeconds: getBufferedTravelTime(
+            route.travelTime,
+            bePessimistic,
+            config,
+            nextEvent.options.buffer
+        ),
+        travelTimeSeconds: route.travelTime,
+        trafficDelaySeconds: getTrafficDelaySeconds(route),
+    };
+}
+
+/**
+ * Returns the other possible routes, quickest first, so they can be shown alongside the chosen route.
+ * @param {Object} estimate The estimate from getLeaveByEstimate
+ * @param {Object} nextEvent The nextEvent object from getNextEvent
+ * @param {boolean} bePessimistic Whether to add the pessimism buffer to the travel times
+ * @param {Object} config The validated config
+ * @returns {Array} Up to two alternatives, as per getRouteSummary
+ */
+function getAlternatives(estimate, nextEvent, bePessimistic, config) {
+    return estimate.possibleRoutes
+        .filter((route) => route !== estimate.chosenRoute)
+        .sort((a, b) => a.travelTime - b.travelTime)
+        .slice(0, 2)
+        .map((route) =>
+            getRouteSummary(route, nextEvent, bePessimistic, config)
+        );
+}
+
+/**
+ * Works out whether the current location is already at an event's location, e.g. for an event at the office while sitting in the office. The
+ * coordinates of the event location come from the known place it matches, or failing that from the end of the last routes fetched for it, so
+ * no API call is needed. A location that isn't a known place and has never been routed to can't be checked.
+ * @param {Object} event The event object from getUpcomingEvents
+ * @param {Object} currentLocation Location data with <code>latitude</code> and <code>longitude</code> values
+ * @param {Object} config The validated config
+ * @returns {boolean} True if the current location is within the arrival radius of the event location
+ */
+function isOnSite(event, currentLocation, config) {
+    const lastRoutes =
+        directionsCache.getLastResult(
+            getTravelMode(event, config),
+            event.location
+        )?.routes || [];
+    const knownPlace = findKnownPlace(
+        config.known_places,
+        event.location,
+        lastRoutes,
+        config.known_place_radius_metres
+    );
+
+    const eventLocation = Number.isFinite(knownPlace?.location?.latitude)
+        ? knownPlace.location
+        : lastRoutes.find((route) => route.endLocation)?.endLocation;
+
+    if (!eventLocation) {
+        return false;
+    }
+
+    const distance = getDistanceMetres(currentLocation, eventLocation);
+
+    if (DEBUG)
+        logger.writeToLogFile(
+            `${Math.round(distance)}m from the location of ${event.title}`,
+            'getTravelTime'
+        );
+
+    return (
+        distance <= (knownPlace?.radius_metres ?? config.arrival_radius_metres)
+    );
+}
+
+/**
+ * Works out the travel mode for an event. The travel mode in the event notes wins over the known place, which wins over the global default.
+ * @param {Object} event The event object from getUpcomingEvents
+ * @param {Object} config The validated config
+ * @returns {string} The travel mode
+ */
+function getTravelMode(event, config) {
+    const knownPlace = findKnownPlace(config.known_places, event.location);
+
+    return event.options.mode || knownPlace?.mode || config.default_mode;
+}
+
+/**
+ * Builds an itinerary of the upcoming events, where each leg starts from the location of the event before it, or from the origin of the trip for
+ * the first leg. Each leg departs when the event before it ends, and its slack is how much of the gap between the events is left once the travel
+ * time is taken out. A negative slack means the leg can't be made in time.
+ * @async
+ * @param {Object} provider The routing provider returned from RoutingProviders.getRoutingProvider
+ * @param {Array} upcomingEvents The upcoming events from getUpcomingEvents, the first of which is the next event
+ * @param {Object} firstEstimate The estimate from getLeaveByEstimate for the next event, which is used for the first leg
+ * @param {string} originName The name of where the first leg starts from, from getOrigin
+ * @param {boolean} bePessimistic Whether to add the pessimism buffer to the travel times
+ * @param {Object} config The validated config
+ * @returns A Promise that resolves to an Array of legs: <code>{title, from, time, travelTimeSeconds, routeName, leaveByTime, slackSeconds, status}</code>
+ */
+async function getItinerary(
+    provider,
+    upcomingEvents,
+    firstEstimate,
+    originName,
+    bePessimistic,
+    config
+) {
+    if (DEBUG) logger.pushFunction('getItinerary', 'getTravelTime');
+
+    const itinerary = [
+        {
+            title: upcomingEvents[0].title,
+            from: originName,
+            time: upcomingEvents[0].time,
+            travelTimeSeconds: firstEstimate.travelTimeSeconds,
+            routeName: firstEstimate.chosenRoute.name,
+            leaveByTime: firstEstimate.leaveByTime,
+            slackSeconds: Math.floor(
+                (firstEstimate.leaveByTime - Date.now()) / 1000
+            ),
+            status: travelStatus.OK,
+        },
+    ];
+
+    const legEvents = upcomingEvents.slice(0, config.itinerary.max_legs);
+    for (let index = 1; index < legEvents.length; index++) {
+        const previousEvent = legEvents[index - 1];
+        const legEvent = legEvents[index];
+
+        const estimate = await getRouteEstimate(
+            provider,
+            previousEvent.location,
+            legEvent,
+            {
+                mode: getTravelMode(legEvent, config),
+                departureTime:
+                    previousEvent.endTime > Date.now()
+                        ? previousEvent.endTime
+                        : undefined,
+            },
+            bePessimistic,
+            config
+        );
+
+        const leg = {
+            title: legEvent.title,
+            from: previousEvent.title,
+            time: legEvent.time,
+            status: estimate.status,
+        };
+
+        if (estimate.status === travelStatus.OK) {
+            leg.travelTimeSeconds = estimate.travelTimeSeconds;
+            leg.routeName = estimate.chosenRoute.name;
+            leg.leaveByTime = new Date(
+                legEvent.time.getTime() - estimate.travelTimeSeconds * 1000
+            );
+            leg.slackSeconds = Math.floor(
+                (legEvent.time - previousEvent.endTime) / 1000 -
+                    estimate.travelTimeSeconds
+            );
+        }
+
+        itinerary.push(leg);
+    }
+
+    if (DEBUG) {
+        logger.writeToLogFile(
+            'Itinerary: ' + JSON.stringify(itinerary),
+            'getItinerary'
+        );
+        logger.popFunction('getItinerary');
+    }
+
+    return itinerary;
+}
+
+/**
+ * Builds an estimate from the typical travel time in the history, for when the maps service can't be used. The history must be open.
+ * @param {string} historyKey The key the destination's travel times are recorded against
+ * @param {Object} nextEvent The nextEvent object from getNextEvent
+ * @param {string} travelMode The travel mode
+ * @param {boolean} bePessimistic Whether to add the pessimism buffer to the travel time
+ * @param {Object} config The validated config
+ * @returns The estimate, as per getLeaveByEstimate with <code>fromHistory</code> set, or null if there isn't enough history for the destination
+ */
+function getHistoryEstimate(
+    historyKey,
+    nextEvent,
+    travelMode,
+    bePessimistic,
+    config
+) {
+    const typical = travelHistory.getTypicalTravelTime(
+        historyKey,
+        travelMode,
+        new Date(),
+        config.history.hour_window,
+        config.history.min_samples
+    );
+
+    if (!typical) {
+        return null;
+    }
+
+    if (DEBUG)
+        logger.writeToLogFile(
+            `Falling back to the typical travel time from ${typical.samples} past trips`,
+            'getTravelTime',
+            'WARN'
+        );
+
+    const chosenRoute = {
+        name: typical.routeName,
+        travelTime: typical.travelTimeSeconds,
+        mode: travelMode,
+    };
+    const travelTimeSeconds = getBufferedTravelTime(
+        typical.travelTimeSeconds,
+        bePessimistic,
+        config,
+        nextEvent.options.buffer
+    );
+
+    return {
+        status: travelStatus.OK,
+        possibleRoutes: [chosenRoute],
+        knownPlace: findKnownPlace(config.known_places, nextEvent.location),
+        chosenRoute: chosenRoute,
+        routeReason: `Typical time from ${typical.samples} past trips`,
+        travelTimeSeconds: travelTimeSeconds,
+        timestamp: Date.now(),
+        stale: false,
+        fromCache: true,
+        fromHistory: true,
+        leaveByTime: new Date(
+            nextEvent.time.getTime() - travelTimeSeconds * 1000
+        ),
+        departureTime: null,
+    };
+}
+
+/**
+ * Compares the estimate with the typical travel time for the same departure time in the history, and with how often the buffer would have been
+ * too short. If the estimate's routes were freshly fetched, it is then added to the history. The history must be open.
+ * @param {string} historyKey The key the destination's travel times are recorded against
+ * @param {Object} estimate The estimate from getLeaveByEstimate
+ * @param {string} travelMode The travel mode
+ * @param {Object} config The validated config
+ * @returns <code>{typicalTravelTimeSeconds, typicalDeltaSeconds, lateFrequency}</code>, where the typical values are undefined if there isn't
+ * enough history, and lateFrequency is as per TravelHistory.getLateFrequency
+ */
+function compareWithHistory(historyKey, estimate, travelMode, config) {
+    const chosenRoute = estimate.chosenRoute;
+    const departureTime = new Date(
+        chosenRoute.departureTime ||
+            estimate.departureTime?.getTime() ||
+            Date.now()
+    );
+
+    // Compare before adding the estimate to the history, so that it isn't compared with itself
+    const typical = estimate.fromHistory
+        ? null
+        : travelHistory.getTypicalTravelTime(
+              historyKey,
+              travelMode,
+              departureTime,
+              config.history.hour_window,
+              config.history.min_samples
+          );
+    const lateFrequency = travelHistory.getLateFrequency(
+        historyKey,
+        travelMode,
+        estimate.travelTimeSeconds - chosenRoute.travelTime,
+        config.history.min_samples
+    );
+
+    if (!estimate.fromCache) {
+        travelHistory.addRecord({
+            timestamp: Date.now(),
+            departureTime: departureTime.getTime(),
+            destination: historyKey,
+            knownPlace: estimate.knownPlace?.name,
+            mode: travelMode,
+            routeName: chosenRoute.name,
+            travelTimeSeconds: chosenRoute.travelTime,
+            freeFlowSeconds: chosenRoute.freeFlowTime,
+            routes: estimate.possibleRoutes.map((route) => ({
+                name: route.name,
+                travelTime: route.travelTime,
+                freeFlowTime: route.freeFlowTime,
+            })),
+        });
+        travelHistory.saveHistory();
+    }
+
+    return {
+        typicalTravelTimeSeconds: typical?.travelTimeSeconds,
+        typicalDeltaSeconds: typical
+            ? chosenRoute.travelTime - typical.travelTimeSeconds
+            : undefined,
+        lateFrequency: lateFrequency,
+    };
+}
+
+/**
+ * Builds the routeInfo object for when there is no travel time to show, either because there is no event or because something went wrong.
+ * @param {string} status One of the travelStatus codes
+ * @param {string} destinationName The text to show in place of the destination name
+ * @param {string} statusMessage More detail about the status, if any
+ * @returns The routeInfo object
+ */
+function getStatusRouteInfo(status, destinationName, statusMessage) {
+    if (DEBUG) {
+        logger.writeToLogFile(
+            `Returning status ${status}: ${statusMessage}`,
+            'getTravelTime',
+            [travelStatus.NO_EVENT, travelStatus.ARRIVED].includes(status)
+                ? 'INFO'
+                : 'ERROR'
+        );
+        logger.popFunction('getTravelTime');
+        logger.closeLogFile();
+    }
+
+    return {
+        status: status,
+        statusMessage: statusMessage,
+        routeName: 'none',
+        routeTimeSeconds: 0,
+        destinationName: destinationName,
+    };
 }
 
 /**
  * Main function of the module and the one that is exported. Performs the following:
  * <ul>
- * <li>Retrieves the current location</li>
- * <li>Retrieves the next event in the specified calendar</li>
+ * <li>Retrieves the upcoming events in the specified calendar, and from them the next event</li>
  * <li>Retrieves the config from the config.json file in the iCloud Scriptable folder, /data subfolder</li>
- * <li>Calls getPossibleRoutes to retrieve routes for the destination in the next event</li>
- * <li>Calls getChosenRoute to choose the route that will be used</li>
- * <li>Calculates the final travel time and arrival time, and returns the routeInfo object</li
+ * <li>Calls getOrigin to work out where the trip starts from, moving on past any events the current location is already at</li>
+ * <li>Works out the travel mode from the event notes, the known place or the global default, in that order</li>
+ * <li>Calls getLeaveByEstimate to retrieve routes for the destination in the next event (from the directions cache or the configured routing provider),
+ * choose the route that will be used and work out when to leave, estimating again for a later departure if the event is still some way off</li>
+ * <li>If enabled, calls getBestDeparture to find a departure between now and the leave-by time that spends less time on the road</li>
+ * <li>If asked to, calls getItinerary to route between the rest of today's events</li>
+ * <li>Calculates the final travel time and arrival time</li>
+ * <li>If enabled, calls syncTravelBlocks to keep the travel blocks in the calendar in step with the upcoming events, and returns the routeInfo object</li
  * </ul>
  *
- * @param {boolean} bePessimistic A boolean value that specifies whether the returned travel time should add a buffer (20% of the travel time or 10 mins, whichever is greater).
- * @param {string}  calendarName The name of the iCloud calendar to check for the next event. Defaults to the 'Travel Destinations' calendar.
- * @returns A promise that resolves to the routeInfo for the next event in the calendar
+ * @param {boolean} bePessimistic A boolean value that specifies whether the returned travel time should add a buffer (by default 20% of the travel time or 10 mins, whichever is greater).
+ * @param {string}  calendarName The name of the iCloud calendar to check for the next event. Defaults to the <code>calendar_names</code> in the config, or failing that
+ * the <code>calendar_name</code>, which is 'Travel Destinations' unless set.
+ * @param {boolean} includeItinerary Whether to also route between the rest of today's events and return them as the <code>itinerary</code> of the routeInfo.
+ * This costs an extra API call per event, so is only worth doing when the itinerary will be shown.
+ * @param {string}  destination An address or known place name to travel to instead of the location of the next event, as per getDestinationEvent.
+ * @returns A promise that resolves to the routeInfo for the next event in the calendar. The <code>status</code> of the routeInfo is one of the travelStatus codes.
+ * If the config file is malformed, the routeInfo also has a configErrors array.
  */
 async function getTravelTime(
     bePessimistic = false,
-    calendarName = 'Travel Destinations'
+    calendarName = undefined,
+    includeItinerary = false,
+    destination = undefined
 ) {
     if (DEBUG) {
         await logger.openLogFile('DestinationTravelTime.log', false);
         logger.pushFunction('getTravelTime');
-        logger.writeToLogFile('API key from keychain retrieved: ' + apiKey);
     }
 
-    const configPromise = getConfig();
-    const nextEvent = await getNextEvent(calendarName);
+    const {
+        config,
+        errors: configErrors,
+        found: configFound,
+    } = await getConfig();
+
+    if (!configFound) {
+        return getStatusRouteInfo(
+            travelStatus.NO_CONFIG,
+            'No config file',
+            'DestinationTravelTime.config.json was not found in the data folder'
+        );
+    }
+
+    if (configErrors.length > 0) {
+        return {
+            ...getStatusRouteInfo(
+                travelStatus.CONFIG_INVALID,
+                'Config error',
+                configErrors.join('\n')
+            ),
+            configErrors: configErrors,
+        };
+    }
+
+    const calendarNames = calendarName
+        ? [calendarName]
+        : config.calendar_names.length > 0
+        ? config.calendar_names
+        : [config.calendar_name];
+    const { calendars, missingNames } = await getCalendars(calendarNames);
+
+    if (calendars.length === 0) {
+        return getStatusRouteInfo(
+            travelStatus.NO_CALENDAR,
+            'No calendar',
+            `There is no calendar called ${missingNames.join(' or ')}`
+        );
+    }
+
+    const upcomingEvents = await getUpcomingEvents(calendars, config);
+    let nextEvent = getNextEvent(upcomingEvents, config.lookahead_minutes);
+
+    // Travel blocks are only kept in sync with the configured calendars and the trips the widget shows, as otherwise blocks for the events
+    // that weren't looked at would be removed
+    const syncTravelBlocks = (routeInfo) =>
+        config.travel_blocks.enabled && !calendarName && !destination
+            ? travelBlocks.syncTravelBlocks(
+                  config.travel_blocks,
+                  getEventWindowEnd(config),
+                  upcomingEvents.map((ev) => ev.identifier),
+                  routeInfo
+              )
+            : Promise.resolve();
+
+    if (destination) {
+        nextEvent = getDestinationEvent(nextEvent, destination, config);
+    }
 
     if (nextEvent.title === 'none') {
-        if (DEBUG)
-            logger.writeToLogFile(
-                'Nowhere to go for the rest of the day',
-                'getTravelTime'
-            );
+        await syncTravelBlocks(null);
+        return {
+            ...getStatusRouteInfo(
+                travelStatus.NO_EVENT,
+                'No where to go...',
+                'Nowhere to go for the rest of the day'
+            ),
+            upcomingEventIds: upcomingEvents.map((ev) => ev.identifier),
+            // Any events left today are beyond the lookahead window, so the widget can wait until the first comes into it
+            nextEventTime: upcomingEvents[0]?.time,
+        };
+    }
+
+    const provider = routingProviders.getRoutingProvider(config.routing);
 
+    if (!provider) {
+        return getStatusRouteInfo(
+            travelStatus.CONFIG_INVALID,
+            'Config error',
+            `Unknown routing provider '${config.routing.provider}'`
+        );
+    }
+
+    if (provider.missingApiKey) {
         return {
-            routeName: 'none',
-            routeTimeSeconds: 0,
-            destinationName: 'No where to go...',
+            ...getStatusRouteInfo(
+                travelStatus.NO_API_KEY,
+                'No API key',
+                `There is no '${provider.missingApiKey}' API key in the Keychain`
+            ),
+            apiKeyName: provider.missingApiKey,
         };
     }
 
-    const myLocation = await getCurrentLocation();
-    const possibleRoutes = await getPossibleRoutes(
-        apiKey,
-        myLocation,
-        nextEvent.location
-    );
+    await directionsCache.openCache();
 
-    if (possibleRoutes[0].error) {
-        if (DEBUG)
-            logger.writeToLogFile(
-                `Google maps returned status ${possibleRoutes[0].status} - "${possibleRoutes[0].error}"`,
-                'getTravelTime',
-                'ERROR'
-            );
+    // The device is only asked for its location once, and not at all if the trip starts from somewhere else
+    let deviceLocationPromise = null;
+    const getDeviceLocation = () => {
+        if (!deviceLocationPromise)
+            deviceLocationPromise = getCurrentLocation();
+        return deviceLocationPromise;
+    };
+
+    // Move on past any events the user is already at, so there is no travel time or "Leave Now" for them. They are left out of the
+    // upcoming events, so any notifications still pending for them are cancelled.
+    let travelEvents = upcomingEvents;
+    let onSiteEvent = null;
+    let origin = await getOrigin(nextEvent, config, getDeviceLocation);
+    while (
+        !destination &&
+        ['device', 'last known'].includes(origin?.source) &&
+        isOnSite(nextEvent, origin.location, config)
+    ) {
+        onSiteEvent = nextEvent;
+        travelEvents = travelEvents.slice(1);
+        nextEvent = getNextEvent(travelEvents, config.lookahead_minutes);
 
+        if (nextEvent.title === 'none') break;
+        origin = await getOrigin(nextEvent, config, getDeviceLocation);
+    }
+
+    const upcomingEventIds = travelEvents.map((ev) => ev.identifier);
+
+    if (nextEvent.title === 'none') {
+        await syncTravelBlocks(null);
         return {
-            routeName: 'none',
-            routeTimeSeconds: 0,
-            destinationName: 'Maps API error',
+            ...getStatusRouteInfo(
+                travelStatus.ARRIVED,
+                `At ${onSiteEvent.title}`,
+                `Already at ${onSiteEvent.location}`
+            ),
+            upcomingEventIds: upcomingEventIds,
+            nextEventTime: travelEvents[0]?.time,
         };
     }
 
-    if (DEBUG)
-        logger.writeToLogFile(
-            'possibleRoutes = ' + JSON.stringify(possibleRoutes),
-            'getTravelTime'
+    if (!origin) {
+        return getStatusRouteInfo(
+            travelStatus.NO_LOCATION,
+            'No location',
+            'The current location is unavailable or out of date and there is no fallback origin'
         );
+    }
 
-    // If there is a preferred route set in the config, try to use that for the chosen route
-    const config = await configPromise;
-    const chosenRoute = getChosenRoute(possibleRoutes, config.known_places);
+    const travelMode = getTravelMode(nextEvent, config);
+    const myLocation = origin.location;
+    let estimate = await getLeaveByEstimate(
+        provider,
+        myLocation,
+        nextEvent,
+        travelMode,
+        bePessimistic,
+        config
+    );
 
-    if (DEBUG)
-        logger.writeToLogFile(
-            `Travel time to ${nextEvent.title} is ${Math.ceil(
-                chosenRoute.travelTime / 60
-            )} minutes using ${chosenRoute.name}`,
-            'getTravelTime'
+    const historyKey = normaliseAddress(nextEvent.location);
+    if (config.history.enabled) {
+        await travelHistory.openHistory(config.history.max_records);
+
+        // If the maps service can't be used right now, the typical travel time from the history is better than nothing
+        if (historyFallbackStatuses.includes(estimate.status)) {
+            estimate =
+                getHistoryEstimate(
+                    historyKey,
+                    nextEvent,
+                    travelMode,
+                    bePessimistic,
+                    config
+                ) || estimate;
+        }
+    }
+
+    if (estimate.status !== travelStatus.OK) {
+        return getStatusRouteInfo(
+            estimate.status,
+            nextEvent.title,
+            estimate.statusMessage
         );
+    }
+
+    const chosenRoute = estimate.chosenRoute;
+    const finalTravelTime = estimate.travelTimeSeconds;
 
-    let finalTravelTime = chosenRoute.travelTime;
-    if (bePessimistic) {
-        // Add 20% or 10 mins to the travel time, whichever is greater
-        finalTravelTime += Math.max(Math.ceil(finalTravelTime * 0.2), 600);
+    // Leaving now for a destination given by the caller, the trip has to arrive whenever the chosen route gets there
+    if (nextEvent.leaveNow) {
+        nextEvent = {
+            ...nextEvent,
+            time: new Date(Date.now() + finalTravelTime * 1000),
+        };
+        estimate.leaveByTime = new Date();
     }
 
+    const historyComparison = config.history.enabled
+        ? compareWithHistory(historyKey, estimate, travelMode, config)
+        : null;
+
+    const recommendedDeparture =
+        config.departure_window.enabled &&
+        travelMode === 'driving' &&
+        !estimate.fromHistory
+            ? await getBestDeparture(
+                  provider,
+                  myLocation,
+                  nextEvent,
+                  estimate,
+                  bePessimistic,
+                  config
+              )
+            : null;
+
     const arrivalTime = new Date();
     arrivalTime.setTime(arrivalTime.getTime() + finalTravelTime * 1000);
 
+    // How late the user will be if they leave now. This goes by the travel time without the buffer, as the buffer is there to plan for the
+    // unexpected rather than being a delay that is expected. A transit route can't leave before its scheduled departure.
+    const expectedArrivalTime = new Date(
+        Math.max(Date.now(), chosenRoute.departureTime || 0) +
+            chosenRoute.travelTime * 1000
+    );
+    const lateBySeconds = Math.max(
+        Math.round((expectedArrivalTime - nextEvent.time) / 1000),
+        0
+    );
+
+    // Keep each live estimate so the next run can tell whether the traffic has got worse. Typical times from the history aren't kept, as they
+    // would make the next live estimate look like a sudden change. Nor are trips to a destination given by the caller, as they aren't the
+    // trip the widget shows for the event.
+    let previousEstimate = null;
+    if (!estimate.fromHistory && !destination) {
+        previousEstimate = directionsCache.getPreviousEstimate(
+            nextEvent.identifier
+        );
+        directionsCache.putPreviousEstimate(
+            nextEvent.identifier,
+            travelMode,
+            finalTravelTime,
+            estimate.leaveByTime,
+            nextEvent.time,
+            lateBySeconds
+        );
+        directionsCache.saveCache(config.cache.max_ttl_minutes * 60);
+
+        if (previousEstimate?.mode !== travelMode) {
+            previousEstimate = null;
+        }
+    }
+
     const returnObj = {
+        status: travelStatus.OK,
         routeName: chosenRoute.name,
+        routeReason: estimate.routeReason,
         routeTimeSeconds: finalTravelTime,
+        trafficDelaySeconds: getTrafficDelaySeconds(chosenRoute),
+        bufferSeconds: finalTravelTime - chosenRoute.travelTime,
+        previousRouteTimeSeconds: previousEstimate?.travelTimeSeconds,
+        lateBySeconds: lateBySeconds,
+        previousLateBySeconds: previousEstimate?.lateBySeconds,
+        apiCallsThisMonth: directionsCache.getMonthlyCalls(),
+        originName: origin.name,
+        originSource: origin.source,
         destinationName: nextEvent.title,
+        knownPlaceName: estimate.knownPlace?.name,
+        destinationLocation: nextEvent.location,
+        // All the routes go to the same place, so any of them will do for where the destination is
+        destinationPlaceId: estimate.possibleRoutes.find(
+            (route) => route.placeId
+        )?.placeId,
+        destinationCoordinates: estimate.possibleRoutes.find(
+            (route) => route.endLocation
+        )?.endLocation,
+        eventIdentifier: nextEvent.identifier,
+        upcomingEventIds: upcomingEventIds,
+        directiveErrors: nextEvent.directiveErrors,
         arrivalTargetTime: nextEvent.time,
         arrivalTime: arrivalTime,
+        expectedArrivalTime: expectedArrivalTime,
+        attendees: nextEvent.attendees,
+        travelMode: chosenRoute.mode,
+        leaveByTime: estimate.leaveByTime,
+        slackSeconds: Math.floor((estimate.leaveByTime - Date.now()) / 1000),
+        recommendedDeparture: recommendedDeparture,
+        alternatives: getAlternatives(
+            estimate,
+            nextEvent,
+            bePessimistic,
+            config
+        ),
+        routes: estimate.possibleRoutes.map((route) =>
+            getRouteSummary(route, nextEvent, bePessimistic, config)
+        ),
+        itinerary:
+            includeItinerary && !destination
+                ? await getItinerary(
+                      provider,
+                      travelEvents,
+                      estimate,
+                      origin.name,
+                      bePessimistic,
+                      config
+                  )
+                : undefined,
+        estimateDepartureTime: estimate.departureTime,
+        estimateTime: new Date(estimate.timestamp),
+        stale: estimate.stale,
+        fromHistory: estimate.fromHistory || false,
+        typicalTravelTimeSeconds: historyComparison?.typicalTravelTimeSeconds,
+        typicalDeltaSeconds: historyComparison?.typicalDeltaSeconds,
+        lateFrequency: historyComparison?.lateFrequency,
     };
 
+    if (chosenRoute.transit) {
+        returnObj.transitLines = chosenRoute.transit.lines;
+        returnObj.transitDepartureTime = new Date(
+            chosenRoute.transit.departureTime
+        );
+        returnObj.transitDepartureStop = chosenRoute.transit.departureStop;
+    }
+
+    await syncTravelBlocks(returnObj);
+
     if (DEBUG) {
         logger.writeToLogFile(
             'returning the following object from DestinationTravelTime.getTravelTime()',
@@ -445,3 +2255,9 @@ async function getTravelTime(
 }
 
 module.exports.getTravelTime = getTravelTime;
+module.exports.getConfig = getConfig;
+module.exports.updateConfig = updateConfig;
+module.exports.restoreConfigBackup = restoreConfigBackup;
+module.exports.pinPreferredRoute = pinPreferredRoute;
+module.exports.findKnownPlace = findKnownPlace;
+module.exports.travelStatus = travelStatus;
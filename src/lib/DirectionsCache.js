@@ -0,0 +1,317 @@
+/**
+ * @module DirectionsCache
+ * @author Todd Hosey
+ * @version 1.0
+ * @license GNU General Public License, version 3
+ * @exports directionsCache object
+ *
+ */
+'use strict';
+
+const DEBUG = false;
+const logger = DEBUG ? importModule('/lib/Logger').logger : null;
+
+const kCacheFileName = 'DestinationTravelTime.cache.json';
+const kMetresPerDegree = 111320;
+const kTimeBucketMs = 5 * 60 * 1000;
+
+// Last results older than this are dropped, as a destination that hasn't been routed to for this long is unlikely to be needed again
+const kLastResultMaxAgeMs = 30 * 24 * 60 * 60 * 1000;
+
+const directionsCache = (() => {
+    let cacheContent = {
+        entries: {},
+        lastResults: {},
+        usage: {},
+        previousEstimates: {},
+    };
+    let cacheFilePath = '';
+    let cacheOpen = false;
+
+    const fm = FileManager.iCloud();
+
+    /**
+     * @private
+     *
+     * Returns the month that API calls are counted against, e.g. "2026-10"
+     * @param {Date} date The date to get the month for
+     * @returns {string} The month as a string
+     */
+    const getUsageMonth = (date) => {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(
+            2,
+            '0'
+        )}`;
+    };
+
+    /**
+     * @private
+     *
+     * Snaps a location to the corner of the grid cell it is in, so that small GPS jitter between refreshes gives the same cache key.
+     * @param {Object} location Location data with <code>latitude</code> and <code>longitude</code> values
+     * @param {number} cellMetres The size of the grid cells in metres
+     * @returns {string} The cell as a "latitude,longitude" string
+     */
+    const getOriginCell = (location, cellMetres) => {
+        const latitudeStep = cellMetres / kMetresPerDegree;
+        const longitudeStep =
+            cellMetres /
+            (kMetresPerDegree * Math.cos((location.latitude * Math.PI) / 180));
+
+        const cellLatitude =
+            Math.floor(location.latitude / latitudeStep) * latitudeStep;
+        const cellLongitude =
+            Math.floor(location.longitude / longitudeStep) * longitudeStep;
+
+        return `${cellLatitude.toFixed(5)},${cellLongitude.toFixed(5)}`;
+    };
+
+    /**
+     * @private
+     *
+     * Describes when the routes are for, rounded to the nearest five minutes so that nearby departure times share cached routes.
+     * @param {Object} routeOptions The options passed to the routing provider: <code>{mode, departureTime, arrivalTime}</code>
+     * @returns {string} e.g. "now", "depart 1792421700000" or "arrive 1792421700000"
+     */
+    const getTimeKey = (routeOptions) => {
+        const roundTime = (time) =>
+            Math.round(time.getTime() / kTimeBucketMs) * kTimeBucketMs;
+
+        if (routeOptions.arrivalTime) {
+            return `arrive ${roundTime(routeOptions.arrivalTime)}`;
+        } else if (routeOptions.departureTime) {
+            return `depart ${roundTime(routeOptions.departureTime)}`;
+        } else {
+            return 'now';
+        }
+    };
+
+    /**
+     * @public
+     * @async
+     *
+     * 'Opens' the cache file in the /data subfolder of the Scriptable folder in iCloud, downloading it if needed. If there is no cache
+     * file yet, or it can't be read, the cache starts empty. This function must be called before any of the other functions.
+     */
+    const openCache = async () => {
+        const dataPath = fm.joinPath(fm.documentsDirectory(), 'data');
+        cacheFilePath = fm.joinPath(dataPath, kCacheFileName);
+
+        if (fm.fileExists(cacheFilePath)) {
+            if (!fm.isFileDownloaded(cacheFilePath)) {
+                await fm.downloadFileFromiCloud(cacheFilePath);
+            }
+
+            try {
+                cacheContent = {
+                    ...cacheContent,
+                    ...JSON.parse(fm.readString(cacheFilePath)),
+                };
+            } catch (err) {
+                // A corrupt cache is no great loss, it will be rebuilt as routes are requested
+                if (DEBUG) logger.writeToLogFile(err, 'openCache', 'ERROR');
+            }
+        }
+
+        cacheOpen = true;
+    };
+
+    /**
+     * Moves a time on to the start of the next cache time bucket, unless it is already at the start of one. Departures sampled at these times
+     * get the same cache key from one refresh to the next, so their routes can be reused.
+     *
+     * @param {Date} time The time
+     * @returns {Date} The start of the time bucket
+     */
+    const alignToTimeBucket = (time) => {
+        return new Date(
+            Math.ceil(time.getTime() / kTimeBucketMs) * kTimeBucketMs
+        );
+    };
+
+    /**
+     * Builds the key that routes are cached against.
+     *
+     * @param {string} providerName The name of the routing provider
+     * @param {Object} routeOptions The options passed to the routing provider: <code>{mode, departureTime, arrivalTime, avoid}</code>
+     * @param {string} destination The destination string passed to the routing provider
+     * @param {Object|string} origin Location data with <code>latitude</code> and <code>longitude</code> values, or an address string
+     * @param {number} cellMetres The size of the origin grid cells in metres
+     * @returns {string} The cache key
+     */
+    const getCacheKey = (
+        providerName,
+        routeOptions,
+        destination,
+        origin,
+        cellMetres
+    ) => {
+        return [
+            providerName,
+            routeOptions.mode,
+            getTimeKey(routeOptions),
+            `avoid ${(routeOptions.avoid || []).join(',')}`,
+            destination,
+            typeof origin === 'string'
+                ? origin
+                : getOriginCell(origin, cellMetres),
+        ].join('|');
+    };
+
+    /**
+     * Returns the cached routes for the key if they are younger than maxAgeSeconds.
+     *
+     * @param {string} key The cache key from getCacheKey
+     * @param {number} maxAgeSeconds How old the cached routes can be
+     * @returns <code>{routes: Array, timestamp: number}</code>, or null if there are no cached routes young enough
+     */
+    const getRoutes = (key, maxAgeSeconds) => {
+        const entry = cacheContent.entries[key];
+
+        if (entry && Date.now() - entry.timestamp <= maxAgeSeconds * 1000) {
+            return entry;
+        }
+
+        return null;
+    };
+
+    /**
+     * Returns the last routes that were fetched for the destination, from any origin and of any age up to the 30 days they are kept for.
+     *
+     * @param {string} travelMode The travel mode
+     * @param {string} destination The destination string passed to the routing provider
+     * @returns <code>{routes: Array, timestamp: number}</code>, or null if the destination has never been routed to
+     */
+    const getLastResult = (travelMode, destination) => {
+        return cacheContent.lastResults[`${travelMode}|${destination}`] || null;
+    };
+
+    /**
+     * Stores freshly fetched routes in the cache, and as the last result for the destination.
+     *
+     * @param {string} key The cache key from getCacheKey
+     * @param {string} travelMode The travel mode
+     * @param {string} destination The destination string passed to the routing provider
+     * @param {Array} routes The routes returned from the routing provider
+     */
+    const putRoutes = (key, travelMode, destination, routes) => {
+        const entry = { routes: routes, timestamp: Date.now() };
+
+        cacheContent.entries[key] = entry;
+        cacheContent.lastResults[`${travelMode}|${destination}`] = entry;
+    };
+
+    /**
+     * Returns the travel time that was estimated for the event the last time the widget ran, so it can be compared with the latest estimate.
+     *
+     * @param {string} eventIdentifier The identifier of the calendar event
+     * @returns <code>{mode: string, travelTimeSeconds: number, leaveByTime: number, eventTime: number, lateBySeconds: number, timestamp: number}</code>,
+     * or null if there is no previous estimate
+     */
+    const getPreviousEstimate = (eventIdentifier) => {
+        return cacheContent.previousEstimates[eventIdentifier] || null;
+    };
+
+    /**
+     * Stores the latest travel time estimate for the event, replacing the previous one.
+     *
+     * @param {string} eventIdentifier The identifier of the calendar event
+     * @param {string} travelMode The travel mode the estimate is for
+     * @param {number} travelTimeSeconds The estimated travel time
+     * @param {Date} leaveByTime When the user needs to leave
+     * @param {Date} eventTime When the event starts, after which the estimate is no longer needed
+     * @param {number} lateBySeconds How late the user would be if they left now, 0 if they wouldn't be
+     */
+    const putPreviousEstimate = (
+        eventIdentifier,
+        travelMode,
+        travelTimeSeconds,
+        leaveByTime,
+        eventTime,
+        lateBySeconds
+    ) => {
+        cacheContent.previousEstimates[eventIdentifier] = {
+            mode: travelMode,
+            travelTimeSeconds: travelTimeSeconds,
+            leaveByTime: leaveByTime.getTime(),
+            eventTime: eventTime.getTime(),
+            lateBySeconds: lateBySeconds,
+            timestamp: Date.now(),
+        };
+    };
+
+    /**
+     * Counts a call to the routing provider against this month's usage.
+     */
+    const recordApiCall = () => {
+        const month = getUsageMonth(new Date());
+
+        if (cacheContent.usage.month !== month) {
+            cacheContent.usage = { month: month, calls: 0 };
+        }
+
+        cacheContent.usage.calls++;
+    };
+
+    /**
+     * Returns how many calls have been made to the routing provider this month.
+     *
+     * @returns {number} The number of calls made this month
+     */
+    const getMonthlyCalls = () => {
+        return cacheContent.usage.month === getUsageMonth(new Date())
+            ? cacheContent.usage.calls
+            : 0;
+    };
+
+    /**
+     * Writes the cache back to iCloud, first dropping any entries older than maxAgeSeconds, any last results that are more than 30 days old
+     * and any previous estimates for events that have started, so that the file doesn't grow forever. Last results are kept for much longer than
+     * the entries, as they are the fallback when the API budget has been used up.
+     *
+     * @param {number} maxAgeSeconds Entries older than this are dropped
+     */
+    const saveCache = (maxAgeSeconds) => {
+        if (!cacheOpen) {
+            throw 'DirectionsCache.js error: cache must be opened via openCache before saveCache can be called';
+        }
+
+        for (const [key, entry] of Object.entries(cacheContent.entries)) {
+            if (Date.now() - entry.timestamp > maxAgeSeconds * 1000) {
+                delete cacheContent.entries[key];
+            }
+        }
+
+        for (const [key, entry] of Object.entries(cacheContent.lastResults)) {
+            if (Date.now() - entry.timestamp > kLastResultMaxAgeMs) {
+                delete cacheContent.lastResults[key];
+            }
+        }
+
+        for (const [eventIdentifier, estimate] of Object.entries(
+            cacheContent.previousEstimates
+        )) {
+            if (estimate.eventTime < Date.now()) {
+                delete cacheContent.previousEstimates[eventIdentifier];
+            }
+        }
+
+        fm.writeString(cacheFilePath, JSON.stringify(cacheContent));
+    };
+
+    return {
+        openCache: openCache,
+        alignToTimeBucket: alignToTimeBucket,
+        getCacheKey: getCacheKey,
+        getRoutes: getRoutes,
+        getLastResult: getLastResult,
+        putRoutes: putRoutes,
+        recordApiCall: recordApiCall,
+        getMonthlyCalls: getMonthlyCalls,
+        getPreviousEstimate: getPreviousEstimate,
+        putPreviousEstimate: putPreviousEstimate,
+        saveCache: saveCache,
+    };
+})();
+
+module.exports.directionsCache = directionsCache;
@@ -0,0 +1,463 @@
+/**
+ * @module KnownPlacesManager
+ * @author Todd Hosey
+ * @version 1.0
+ * @license GNU General Public License, version 3
+ * @exports presentKnownPlacesManager function
+ *
+ */
+'use strict';
+
+const DEBUG = false;
+const logger = DEBUG ? importModule('/lib/Logger').logger : null;
+
+const routeModule = importModule('/lib/DestinationTravelTime');
+const travelStatus = routeModule.travelStatus;
+
+// The name the known places are exported as, and the file type they can be imported from
+const kExportFileName = 'known_places.json';
+const kImportFileTypes = ['public.json'];
+
+/**
+ * Returns what to call a known place in the lists: its name, or failing that its first location name.
+ * @param {Object} place The known place
+ * @returns {string} The label
+ */
+function getPlaceLabel(place) {
+    return (
+        place.name ||
+        place.location_names[0]?.replaceAll('+', ' ') ||
+        'Unnamed place'
+    );
+}
+
+/**
+ * Shows an alert with a single OK button.
+ * @async
+ * @param {string} title The title of the alert
+ * @param {string} message The message of the alert
+ */
+async function showMessage(title, message) {
+    const alert = new Alert();
+    alert.title = title;
+    alert.message = message;
+    alert.addAction('OK');
+    await alert.presentAlert();
+}
+
+/**
+ * Shows what went wrong with a change to the config file, if anything did.
+ * @async
+ * @param {Array} errors The error message strings from updateConfig
+ * @returns A Promise that resolves to true if there were no errors
+ */
+async function checkErrors(errors) {
+    if (errors.length === 0) {
+        return true;
+    }
+
+    if (DEBUG)
+        logger.writeToLogFile(
+            errors.join(', '),
+            'presentKnownPlacesManager',
+            'ERROR'
+        );
+
+    await showMessage("Couldn't save the change", errors.join('\n'));
+    return false;
+}
+
+/**
+ * Asks the user to type in some text.
+ * @async
+ * @param {string} title The title of the alert
+ * @param {string} message What to type in
+ * @param {string} value The text to start with
+ * @returns A Promise that resolves to the trimmed text, or null if the user cancelled or left it empty
+ */
+async function askForText(title, message, value = '') {
+    const alert = new Alert();
+    alert.title = title;
+    alert.message = message;
+    alert.addTextField('', value);
+    alert.addAction('OK');
+    alert.addCancelAction('Cancel');
+
+    if ((await alert.presentAlert()) === -1) {
+        return null;
+    }
+
+    return alert.textFieldValue(0).trim() || null;
+}
+
+/**
+ * Asks the user to choose from a list of actions.
+ * @async
+ * @param {string} title The title of the action sheet
+ * @param {Array} actions The names of the actions
+ * @param {Array} destructiveActions The names of any actions that delete something, shown in red after the others
+ * @returns A Promise that resolves to the name of the chosen action, or null if the user cancelled
+ */
+async function chooseAction(title, actions, destructiveActions = []) {
+    const alert = new Alert();
+    alert.title = title;
+    for (const action of actions) {
+        alert.addAction(action);
+    }
+    for (const action of destructiveActions) {
+        alert.addDestructiveAction(action);
+    }
+    alert.addCancelAction('Cancel');
+
+    const index = await alert.presentSheet();
+    return index === -1 ? null : [...actions, ...destructiveActions][index];
+}
+
+/**
+ * Returns the known places as they are in the config, with the defaults filled in.
+ * @async
+ * @returns A Promise that resolves to the Array of known places
+ */
+async function getKnownPlaces() {
+    const { config } = await routeModule.getConfig();
+    return config.known_places;
+}
+
+/**
+ * Lets the user edit one of the lists on a known place, i.e. its location names or its preferred routes, until they cancel. Tapping an item
+ * offers to move it to the top of the list or remove it, and suggestions that aren't in the list yet can be added with a tap.
+ * @async
+ * @param {number} placeIndex The index of the place in <code>known_places</code>
+ * @param {string} key The key of the list on the place
+ * @param {string} itemName What to call an item in the list, e.g. "location name"
+ * @param {Array} suggestions Items that can be added without typing them in
+ */
+async function editPlaceList(placeIndex, key, itemName, suggestions = []) {
+    for (;;) {
+        const place = (await getKnownPlaces())[placeIndex];
+        const items = place[key];
+        const newSuggestions = suggestions.filter(
+            (suggestion) => !items.includes(suggestion)
+        );
+
+        const addAction = `Add a ${itemName}...`;
+        const action = await chooseAction(
+            `${getPlaceLabel(place)}: ${itemName}s`,
+            [
+                ...items,
+                ...newSuggestions.map((suggestion) => `Add ${suggestion}`),
+                addAction,
+            ]
+        );
+
+        if (action === null) {
+            return;
+        }
+
+        let newItems = null;
+        if (action === addAction) {
+            const item = await askForText(
+                `Add a ${itemName}`,
+                `The ${itemName} to add to ${getPlaceLabel(place)}`
+            );
+            if (item) newItems = [...items, item];
+        } else if (items.includes(action)) {
+            const itemAction = await chooseAction(
+                action,
+                ['Move to top'],
+                ['Remove']
+            );
+            if (itemAction === 'Move to top') {
+                newItems = [action, ...items.filter((item) => item !== action)];
+            } else if (itemAction === 'Remove') {
+                newItems = items.filter((item) => item !== action);
+            }
+        } else {
+            newItems = [
+                ...items,
+                newSuggestions.find(
+                    (suggestion) => action === `Add ${suggestion}`
+                ),
+            ];
+        }
+
+        if (newItems) {
+            await checkErrors(
+                await routeModule.updateConfig((rawConfig) => {
+                    rawConfig.known_places[placeIndex][key] = newItems;
+                })
+            );
+        }
+    }
+}
+
+/**
+ * Lets the user rename a known place, edit its location names and preferred routes, or delete it.
+ * @async
+ * @param {number} placeIndex The index of the place in <code>known_places</code>
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime, whose routes are suggested as preferred routes
+ */
+async function editPlace(placeIndex, routeInfo) {
+    const place = (await getKnownPlaces())[placeIndex];
+    const action = await chooseAction(
+        getPlaceLabel(place),
+        ['Rename', 'Location names', 'Preferred routes'],
+        ['Delete']
+    );
+
+    switch (action) {
+        case 'Rename': {
+            const name = await askForText(
+                'Rename',
+                'What to call the place on the widget',
+                place.name
+            );
+            if (name) {
+                await checkErrors(
+                    await routeModule.updateConfig((rawConfig) => {
+                        rawConfig.known_places[placeIndex].name = name;
+                    })
+                );
+            }
+            break;
+        }
+        case 'Location names':
+            await editPlaceList(placeIndex, 'location_names', 'location name');
+            break;
+        case 'Preferred routes':
+            await editPlaceList(
+                placeIndex,
+                'preferred_routes',
+                'preferred route',
+                (routeInfo.routes || []).map((route) => route.routeName)
+            );
+            break;
+        case 'Delete': {
+            const confirmed = await chooseAction(
+                `Delete ${getPlaceLabel(place)}?`,
+                [],
+                ['Delete']
+            );
+            if (confirmed) {
+                await checkErrors(
+                    await routeModule.updateConfig((rawConfig) => {
+                        rawConfig.known_places.splice(placeIndex, 1);
+                    })
+                );
+            }
+            break;
+        }
+    }
+}
+
+/**
+ * Adds the destination of the next event as a known place, with the place id and coordinates the routing provider found for it, so that it
+ * is recognised however the location is written in future events.
+ * @async
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ */
+async function addDestination(routeInfo) {
+    const name = await askForText(
+        'Add known place',
+        `What to call ${routeInfo.destinationLocation.replaceAll(
+            '+',
+            ' '
+        )} on the widget`,
+        routeInfo.destinationName
+    );
+
+    if (!name) {
+        return;
+    }
+
+    const place = {
+        name: name,
+        location_names: [routeInfo.destinationLocation],
+        preferred_routes: [],
+    };
+    if (routeInfo.destinationPlaceId) {
+        place.place_id = routeInfo.destinationPlaceId;
+    }
+    if (routeInfo.destinationCoordinates) {
+        place.location = routeInfo.destinationCoordinates;
+    }
+
+    await checkErrors(
+        await routeModule.updateConfig((rawConfig) => {
+            rawConfig.known_places = [...(rawConfig.known_places || []), place];
+        })
+    );
+}
+
+/**
+ * Imports known places from a JSON file chosen by the user, which can hold either a list of places or a config file with a
+ * <code>known_places</code> list. The places can be added to the existing ones, replacing any with the same name, or replace them all.
+ * @async
+ */
+async function importPlaces() {
+    const [filePath] = await DocumentPicker.open(kImportFileTypes);
+    if (!filePath) {
+        return;
+    }
+
+    let places = null;
+    try {
+        const content = JSON.parse(FileManager.local().readString(filePath));
+        places = Array.isArray(content) ? content : content.known_places;
+    } catch (err) {
+        await showMessage("Couldn't import the places", err.message);
+        return;
+    }
+
+    if (!Array.isArray(places)) {
+        await showMessage(
+            "Couldn't import the places",
+            'The file needs to hold a list of known places, or a config file with known_places'
+        );
+        return;
+    }
+
+    const action = await chooseAction(
+        `Import ${places.length} places`,
+        ['Add to my places'],
+        ['Replace my places']
+    );
+    if (!action) {
+        return;
+    }
+
+    const importedNames = places.map((place) => place.name).filter(Boolean);
+    const errors = await routeModule.updateConfig((rawConfig) => {
+        rawConfig.known_places =
+            action === 'Replace my places'
+                ? places
+                : [
+                      ...(rawConfig.known_places || []).filter(
+                          (place) => !importedNames.includes(place.name)
+                      ),
+                      ...places,
+                  ];
+    });
+
+    if (await checkErrors(errors)) {
+        await showMessage(
+            'Places imported',
+            `Imported ${places.length} places. Use Restore previous config to undo this.`
+        );
+    }
+}
+
+/**
+ * Fills the table with the known places and the things that can be done with them. Tapping a place lets the user edit it.
+ * @async
+ * @param {UITable} table The table to fill
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ */
+async function fillTable(table, routeInfo) {
+    table.removeAllRows();
+
+    const { config, errors } = await routeModule.getConfig();
+    const knownPlaces = config.known_places;
+
+    // Refills the table once an action is done, so it shows any changes
+    const addActionRow = (title, subtitle, action) => {
+        const row = new UITableRow();
+        row.height = 60;
+        row.addText(title, subtitle);
+        row.dismissOnSelect = false;
+        row.onSelect = async () => {
+            await action();
+            await fillTable(table, routeInfo);
+            table.reload();
+        };
+        table.addRow(row);
+    };
+
+    const headerRow = new UITableRow();
+    headerRow.isHeader = true;
+    headerRow.addText(
+        'Known places',
+        errors.length > 0
+            ? 'The config file has errors, fix them or restore the previous config before editing'
+            : 'Tap a place to edit it'
+    );
+    table.addRow(headerRow);
+
+    if (errors.length === 0) {
+        // The destination may have been added since the routeInfo was worked out
+        const isKnown =
+            routeInfo.knownPlaceName ||
+            routeModule.findKnownPlace(
+                knownPlaces,
+                routeInfo.destinationLocation
+            );
+        if (routeInfo.status === travelStatus.OK && !isKnown) {
+            addActionRow(
+                `Add ${routeInfo.destinationName}`,
+                routeInfo.destinationLocation.replaceAll('+', ' '),
+                () => addDestination(routeInfo)
+            );
+        }
+
+        addActionRow('Import places', 'From a JSON file', importPlaces);
+        addActionRow('Export places', 'To a JSON file', () =>
+            DocumentPicker.exportString(
+                JSON.stringify(knownPlaces, null, 4),
+                kExportFileName
+            )
+        );
+    }
+
+    addActionRow(
+        'Restore previous config',
+        'Undo the last change to the config file',
+        async () => {
+            if (
+                await chooseAction(
+                    'Restore the previous config?',
+                    ['Restore'],
+                    []
+                )
+            ) {
+                await checkErrors(await routeModule.restoreConfigBackup());
+            }
+        }
+    );
+
+    if (errors.length > 0) {
+        return;
+    }
+
+    knownPlaces.forEach((place, placeIndex) => {
+        addActionRow(
+            getPlaceLabel(place),
+            `${place.location_names.length} location name${
+                place.location_names.length === 1 ? '' : 's'
+            }, preferred routes: ${
+                place.preferred_routes.join(', ') || 'none'
+            }`,
+            () => editPlace(placeIndex, routeInfo)
+        );
+    });
+}
+
+/**
+ * Presents the known places manager, which lets the user add the destination of the next event as a known place, edit and delete known
+ * places, and import and export them, without editing the config file by hand. Every change is checked before the config file is written, and
+ * the previous config file is kept so that a bad change can be rolled back.
+ * @async
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ */
+async function presentKnownPlacesManager(routeInfo) {
+    if (DEBUG) logger.pushFunction('presentKnownPlacesManager');
+
+    const table = new UITable();
+    table.showSeparators = true;
+    await fillTable(table, routeInfo);
+
+    await table.present();
+
+    if (DEBUG) logger.popFunction('presentKnownPlacesManager');
+}
+
+module.exports.presentKnownPlacesManager = presentKnownPlacesManager;
@@ -0,0 +1,309 @@
+/**
+ * @module NotificationManager
+ * @author Todd Hosey
+ * @version 1.0
+ * @license GNU General Public License, version 3
+ * @exports reconcileNotifications function
+ * @exports notifyWorseningTraffic function
+ * @exports notifyRunningLate function
+ *
+ */
+'use strict';
+
+const DEBUG = false;
+const logger = DEBUG ? importModule('/lib/Logger').logger : null;
+
+// Tags the notifications scheduled by this module in their userInfo, so they can be told apart from any other pending notifications
+const kNotificationSource = 'TravelWidget';
+
+// Titles used before notifications were tagged with their event. Any still pending are cleaned up as they can't be matched to an event.
+const kLegacyTitles = ['Leave Now', 'Get Ready To Leave'];
+
+// Notifications need to trigger more than this far in the future to be worth scheduling
+const kMinimumLeadMs = 30 * 1000;
+
+// The Apple Maps direction flags for each travel mode
+const kMapsDirectionFlags = {
+    driving: 'd',
+    walking: 'w',
+    transit: 'r',
+    bicycling: 'w',
+};
+
+/**
+ * Builds the Apple Maps URL that gives directions to the destination, so that tapping the notification gets the user going.
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @returns {string} The Apple Maps URL
+ */
+function getMapsUrl(routeInfo) {
+    return `https://maps.apple.com/?daddr=${
+        routeInfo.destinationLocation
+    }&dirflg=${kMapsDirectionFlags[routeInfo.travelMode] || 'd'}`;
+}
+
+/**
+ * Works out the notifications that should be pending for the next event: one per configured lead time, counting back from the recommended
+ * departure time if there is one. Where that lead time has already passed, or there is no recommended departure, it counts back from when the
+ * user needs to leave instead, unless that would go off after leaving at the recommended departure time, as the notifications would then arrive
+ * out of order. Lead times that have passed for both are left out.
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {Object} settings The validated config
+ * @returns {Array} The notifications: <code>{identifier, leadMinutes, title, body, triggerTime, isRecommended}</code>
+ */
+function getWantedNotifications(routeInfo, settings) {
+    const isFuture = (time) => time.getTime() > Date.now() + kMinimumLeadMs;
+    const recommendedDeparture = routeInfo.recommendedDeparture;
+
+    const wantedNotifications = settings.notifications.lead_minutes
+        .map((leadMinutes) => {
+            const leadMs = leadMinutes * 60 * 1000;
+            let triggerTime = new Date(routeInfo.leaveByTime - leadMs);
+            let saving = '';
+
+            // Leaving at the recommended departure time spends less time on the road than leaving at the last minute
+            const recommendedTime = recommendedDeparture
+                ? new Date(recommendedDeparture.time - leadMs)
+                : null;
+            if (recommendedTime && isFuture(recommendedTime)) {
+                triggerTime = recommendedTime;
+                saving = ` (saves ${Math.round(
+                    recommendedDeparture.savingSeconds / 60
+                )} min)`;
+            }
+
+            return {
+                identifier: `${kNotificationSource}|${routeInfo.eventIdentifier}|${leadMinutes}`,
+                leadMinutes: leadMinutes,
+                title:
+                    leadMinutes === 0
+                        ? 'Leave Now'
+                        : `Leave in ${leadMinutes} min`,
+                body:
+                    leadMinutes === 0
+                        ? `Leave NOW to ${routeInfo.destinationName}${saving}`
+                        : `Get ready to leave to ${routeInfo.destinationName}${saving}`,
+                triggerTime: triggerTime,
+                isRecommended: saving !== '',
+            };
+        })
+        .filter((wanted) => isFuture(wanted.triggerTime));
+
+    const usesRecommended = wantedNotifications.some(
+        (wanted) => wanted.isRecommended
+    );
+
+    return wantedNotifications.filter(
+        (wanted) =>
+            !usesRecommended ||
+            wanted.isRecommended ||
+            wanted.triggerTime <= recommendedDeparture.time
+    );
+}
+
+/**
+ * Brings the pending notifications into line with the current routeInfo. Each notification is tagged with the identifier of the calendar event it is
+ * for, so that:
+ * <ul>
+ * <li>the notifications for the next event are scheduled (or rescheduled) for each configured lead time</li>
+ * <li>notifications for events that are no longer upcoming, e.g. because they were cancelled or their location was removed, are removed</li>
+ * <li>notifications for the next event at lead times that are no longer wanted, e.g. because the leave time has moved, are removed, unless they
+ * are about to go off</li>
+ * </ul>
+ * If the routeInfo has an error status the pending notifications are left alone, as there is no way of telling which are still wanted.
+ *
+ * @async
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {Object} settings The validated config
+ */
+async function reconcileNotifications(routeInfo, settings) {
+    if (DEBUG) logger.pushFunction('reconcileNotifications');
+
+    if (!routeInfo.upcomingEventIds) {
+        if (DEBUG) {
+            logger.writeToLogFile(
+                `Leaving notifications alone for status ${routeInfo.status}`,
+                'reconcileNotifications'
+            );
+            logger.popFunction('reconcileNotifications');
+        }
+        return;
+    }
+
+    const wantedNotifications = routeInfo.leaveByTime
+        ? getWantedNotifications(routeInfo, settings)
+        : [];
+    const wantedIdentifiers = wantedNotifications.map(
+        (wanted) => wanted.identifier
+    );
+
+    const pendingNotifications = await Notification.allPending();
+    const orphanIdentifiers = pendingNotifications
+        .filter((notif) => {
+            if (notif.userInfo?.source !== kNotificationSource) {
+                return kLegacyTitles.includes(notif.title);
+            }
+
+            // A notification for the next event that is about to go off is kept, as it is too late to schedule its replacement
+            if (notif.userInfo.eventIdentifier === routeInfo.eventIdentifier) {
+                return (
+                    !wantedIdentifiers.includes(notif.identifier) &&
+                    !(
+                        notif.nextTriggerDate?.getTime() <
+                        Date.now() + kMinimumLeadMs
+                    )
+                );
+            }
+
+            return !routeInfo.upcomingEventIds.includes(
+                notif.userInfo.eventIdentifier
+            );
+        })
+        .map((notif) => notif.identifier);
+
+    if (orphanIdentifiers.length > 0) {
+        if (DEBUG)
+            logger.writeToLogFile(
+                'Removing orphaned notifications: ' +
+                    orphanIdentifiers.join(', '),
+                'reconcileNotifications'
+            );
+
+        await Notification.removePending(orphanIdentifiers);
+    }
+
+    // Scheduling a notification with the same identifier as a pending one replaces it
+    for (const wanted of wantedNotifications) {
+        if (DEBUG)
+            logger.writeToLogFile(
+                `Scheduling '${wanted.title}' for ${wanted.triggerTime}`,
+                'reconcileNotifications'
+            );
+
+        const notif = new Notification();
+        notif.identifier = wanted.identifier;
+        notif.threadIdentifier = routeInfo.eventIdentifier;
+        notif.userInfo = {
+            source: kNotificationSource,
+            eventIdentifier: routeInfo.eventIdentifier,
+            leadMinutes: wanted.leadMinutes,
+        };
+        notif.title = wanted.title;
+        notif.body = wanted.body;
+        notif.openURL = getMapsUrl(routeInfo);
+        notif.sound = 'default';
+        notif.setTriggerDate(wanted.triggerTime);
+        await notif.schedule();
+    }
+
+    if (DEBUG) logger.popFunction('reconcileNotifications');
+}
+
+/**
+ * Sends a notification straight away if the travel time for the next event has got worse by more than
+ * <code>notifications.worsening_alert_minutes</code> since the widget last ran, e.g. because of an accident on the way. The leave-time
+ * notifications are rescheduled by reconcileNotifications, so this is an extra heads-up that they have moved earlier.
+ *
+ * @async
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {Object} settings The validated config
+ */
+async function notifyWorseningTraffic(routeInfo, settings) {
+    const thresholdMinutes = settings.notifications.worsening_alert_minutes;
+
+    if (
+        thresholdMinutes === 0 ||
+        routeInfo.previousRouteTimeSeconds === undefined ||
+        !routeInfo.leaveByTime
+    ) {
+        return;
+    }
+
+    const worseMinutes = Math.round(
+        (routeInfo.routeTimeSeconds - routeInfo.previousRouteTimeSeconds) / 60
+    );
+
+    if (worseMinutes < thresholdMinutes) {
+        return;
+    }
+
+    if (DEBUG)
+        logger.writeToLogFile(
+            `Travel time has got ${worseMinutes} min worse`,
+            'notifyWorseningTraffic'
+        );
+
+    const timeFormatter = new DateFormatter();
+    timeFormatter.useNoDateStyle();
+    timeFormatter.useShortTimeStyle();
+    const leaveText =
+        routeInfo.slackSeconds > 0
+            ? `leave by ${timeFormatter.string(routeInfo.leaveByTime)}`
+            : 'leave now';
+
+    // With no trigger date the notification is delivered straight away
+    const notif = new Notification();
+    notif.identifier = `${kNotificationSource}|${routeInfo.eventIdentifier}|worsening`;
+    notif.threadIdentifier = routeInfo.eventIdentifier;
+    notif.userInfo = {
+        source: kNotificationSource,
+        eventIdentifier: routeInfo.eventIdentifier,
+    };
+    notif.title = 'Traffic Getting Worse';
+    notif.body = `The trip to ${routeInfo.destinationName} now takes ${worseMinutes} min longer, ${leaveText}`;
+    notif.openURL = getMapsUrl(routeInfo);
+    notif.sound = 'default';
+    await notif.schedule();
+}
+
+/**
+ * Sends a notification straight away when the user becomes more than <code>running_late.alert_minutes</code> late for the next event, i.e.
+ * they would get there that much after it starts even if they left now. It is only sent the first time a run finds them that late, not on every
+ * run after. Its "Let them know" action runs the script again to compose a message to the other people at the event, which is only sent if the
+ * user taps Send.
+ *
+ * @async
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {Object} settings The validated config
+ */
+async function notifyRunningLate(routeInfo, settings) {
+    const thresholdSeconds = settings.running_late.alert_minutes * 60;
+
+    if (
+        thresholdSeconds === 0 ||
+        !routeInfo.lateBySeconds ||
+        routeInfo.lateBySeconds < thresholdSeconds ||
+        routeInfo.previousLateBySeconds >= thresholdSeconds
+    ) {
+        return;
+    }
+
+    const lateMinutes = Math.ceil(routeInfo.lateBySeconds / 60);
+    if (DEBUG)
+        logger.writeToLogFile(
+            `Running ${lateMinutes} min late`,
+            'notifyRunningLate'
+        );
+
+    const notif = new Notification();
+    notif.identifier = `${kNotificationSource}|${routeInfo.eventIdentifier}|late`;
+    notif.threadIdentifier = routeInfo.eventIdentifier;
+    notif.userInfo = {
+        source: kNotificationSource,
+        eventIdentifier: routeInfo.eventIdentifier,
+    };
+    notif.title = 'Running Late';
+    notif.body = `You'll be about ${lateMinutes} min late for ${routeInfo.destinationName}, even if you leave now`;
+    notif.openURL = getMapsUrl(routeInfo);
+    notif.addAction(
+        'Let them know',
+        `scriptable:///run/${encodeURIComponent(
+            Script.name()
+        )}?running_late=${encodeURIComponent(routeInfo.eventIdentifier)}`
+    );
+    notif.sound = 'default';
+    await notif.schedule();
+}
+
+module.exports.reconcileNotifications = reconcileNotifications;
+module.exports.notifyWorseningTraffic = notifyWorseningTraffic;
+module.exports.notifyRunningLate = notifyRunningLate;
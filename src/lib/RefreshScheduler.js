@@ -0,0 +1,176 @@
+/**
+ * @module RefreshScheduler
+ * @author Todd Hosey
+ * @version 1.0
+ * @license GNU General Public License, version 3
+ * @exports getRefreshSchedule function
+ *
+ */
+'use strict';
+
+const travelStatus = importModule('/lib/TravelStatus').travelStatus;
+
+// Spending the API budget faster than the month is passing can stretch the refresh interval by up to this much
+const kMaxBudgetStretch = 4;
+
+/**
+ * Works out how far through the current month a time is, as a fraction.
+ * @param {Date} now The time
+ * @returns {number} 0 at the very start of the month, approaching 1 at the very end
+ */
+function getMonthFraction(now) {
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+    const nextMonthStart = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+
+    return (now - monthStart) / (nextMonthStart - monthStart);
+}
+
+/**
+ * Returns the start of the day after a time.
+ * @param {Date} now The time
+ * @returns {Date} Midnight at the start of tomorrow
+ */
+function getStartOfTomorrow(now) {
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+}
+
+/**
+ * Works out when the widget next needs the routing provider when there is an event to travel to. The starting point is one travel time before
+ * the leave time, which is then brought forward if the travel time has been jumping around, and pushed back if the API budget is being
+ * used up faster than the month is passing. It is never later than the leave time, so that "Leave now" shows on time.
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {Object} settings The validated config
+ * @param {Date} now The current time
+ * @param {Array} reasons Array that the reasoning is added to
+ * @returns {number} The refresh time, in milliseconds since the UNIX epoch
+ */
+function getTravelRefreshTime(routeInfo, settings, now, reasons) {
+    const minimumMs = settings.minimum_refresh_minutes * 60 * 1000;
+    const leaveByMs = routeInfo.leaveByTime.getTime();
+
+    let intervalMs = leaveByMs - routeInfo.routeTimeSeconds * 1000 - now;
+    reasons.push(
+        `Checking again one travel time (${Math.ceil(
+            routeInfo.routeTimeSeconds / 60
+        )} min) before the leave time`
+    );
+
+    const changeMinutes =
+        routeInfo.previousRouteTimeSeconds !== undefined
+            ? Math.round(
+                  Math.abs(
+                      routeInfo.routeTimeSeconds -
+                          routeInfo.previousRouteTimeSeconds
+                  ) / 60
+              )
+            : 0;
+    if (
+        changeMinutes > 0 &&
+        changeMinutes >= settings.refresh_volatility_minutes
+    ) {
+        intervalMs = minimumMs;
+        reasons.push(
+            `The travel time changed by ${changeMinutes} min since the last refresh, so checking again soon`
+        );
+    }
+
+    const monthlyLimit = settings.api_budget.monthly_call_limit;
+    if (monthlyLimit > 0 && routeInfo.apiCallsThisMonth !== undefined) {
+        const budgetUsed = routeInfo.apiCallsThisMonth / monthlyLimit;
+        const monthPassed = getMonthFraction(now);
+
+        if (budgetUsed > monthPassed) {
+            const stretch = Math.min(
+                budgetUsed / Math.max(monthPassed, 0.01),
+                kMaxBudgetStretch
+            );
+            intervalMs = Math.max(intervalMs, minimumMs) * stretch;
+            reasons.push(
+                `${Math.round(
+                    budgetUsed * 100
+                )}% of the API budget is used ${Math.round(
+                    monthPassed * 100
+                )}% of the way through the month, so refreshing ${stretch.toFixed(
+                    1
+                )}x less often`
+            );
+        }
+    }
+
+    if (now.getTime() + intervalMs > leaveByMs && leaveByMs > now.getTime()) {
+        intervalMs = leaveByMs - now;
+        reasons.push('Refreshing no later than the leave time');
+    }
+
+    return now.getTime() + intervalMs;
+}
+
+/**
+ * Decides when the widget should next refresh, and why:
+ * <ul>
+ * <li>If the travel time couldn't be worked out, soon, in case whatever went wrong has been fixed</li>
+ * <li>If there is nowhere to go yet, or the user is already at the next event, when the next event later in the day comes into the lookahead window, or at the start of tomorrow if there
+ * are no more events today</li>
+ * <li>If there is an event to travel to, as worked out by getTravelRefreshTime</li>
+ * </ul>
+ * The refresh time is always between <code>minimum_refresh_minutes</code> and <code>maximum_refresh_minutes</code> from now, so that events
+ * added to the calendar are noticed. iOS decides when the widget actually refreshes, but it won't be earlier than this.
+ *
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {Object} settings The validated config
+ * @param {Function} clock Returns the current time as a Date. Defaults to the system clock, and can be replaced to test the scheduling.
+ * @returns <code>{refreshTime: Date, reasons: Array}</code>, where reasons are strings explaining how the refresh time was chosen
+ */
+function getRefreshSchedule(routeInfo, settings, clock = () => new Date()) {
+    const now = clock();
+    const reasons = [];
+    let refreshMs;
+
+    if (routeInfo.status === travelStatus.OK && routeInfo.leaveByTime) {
+        refreshMs = getTravelRefreshTime(routeInfo, settings, now, reasons);
+    } else if (
+        [travelStatus.NO_EVENT, travelStatus.ARRIVED].includes(routeInfo.status)
+    ) {
+        if (routeInfo.status === travelStatus.ARRIVED) {
+            reasons.push('Already at the location of the next event');
+        }
+
+        if (routeInfo.nextEventTime) {
+            refreshMs =
+                routeInfo.nextEventTime.getTime() -
+                settings.lookahead_minutes * 60 * 1000;
+            reasons.push(
+                `The next event, at ${routeInfo.nextEventTime.toLocaleTimeString()}, comes into the lookahead window at ${new Date(
+                    refreshMs
+                ).toLocaleTimeString()}`
+            );
+        } else {
+            refreshMs = getStartOfTomorrow(now).getTime();
+            reasons.push('There are no more events today');
+        }
+    } else {
+        refreshMs = now.getTime();
+        reasons.push(`Retrying soon after status ${routeInfo.status}`);
+    }
+
+    const earliestMs =
+        now.getTime() + settings.minimum_refresh_minutes * 60 * 1000;
+    const latestMs =
+        now.getTime() + settings.maximum_refresh_minutes * 60 * 1000;
+
+    if (refreshMs < earliestMs) {
+        refreshMs = earliestMs;
+        reasons.push(
+            `Refreshing no sooner than the minimum of ${settings.minimum_refresh_minutes} min`
+        );
+    } else if (refreshMs > latestMs) {
+        refreshMs = latestMs;
+        reasons.push(
+            `Refreshing no later than the maximum of ${settings.maximum_refresh_minutes} min, so new events are noticed`
+        );
+    }
+
+    return { refreshTime: new Date(refreshMs), reasons: reasons };
+}
+
+module.exports.getRefreshSchedule = getRefreshSchedule;
@@ -0,0 +1,218 @@
+/**
+ * @module RouteExplorer
+ * @author Todd Hosey
+ * @version 1.0
+ * @license GNU General Public License, version 3
+ * @exports presentRouteExplorer function
+ *
+ */
+'use strict';
+
+const DEBUG = false;
+const logger = DEBUG ? importModule('/lib/Logger').logger : null;
+
+const routeModule = importModule('/lib/DestinationTravelTime');
+const travelStatus = routeModule.travelStatus;
+const knownPlacesManager = importModule('/lib/KnownPlacesManager');
+const runningLateMessenger = importModule('/lib/RunningLateMessenger');
+
+/**
+ * Formats a date as a short time, e.g. "14:20"
+ * @param {Date} date The date to format
+ * @returns {string} The formatted time
+ */
+function formatTime(date) {
+    const timeFormatter = new DateFormatter();
+    timeFormatter.useNoDateStyle();
+    timeFormatter.useShortTimeStyle();
+    return timeFormatter.string(date);
+}
+
+/**
+ * Describes a route's travel time, the part of it that is down to traffic and the travel time once the buffer is added, e.g.
+ * "22 min, 5 min of it traffic. 32 min with the buffer".
+ * @param {Object} route The route summary from the <code>routes</code> of the routeInfo
+ * @returns {string} The description
+ */
+function getRouteTimes(route) {
+    const trafficMinutes = Math.round((route.trafficDelaySeconds || 0) / 60);
+
+    return `${Math.ceil(route.travelTimeSeconds / 60)} min${
+        trafficMinutes > 0 ? `, ${trafficMinutes} min of it traffic` : ''
+    }. ${Math.ceil(route.routeTimeSeconds / 60)} min with the buffer`;
+}
+
+/**
+ * Adds a row of text to the table.
+ * @param {UITable} table The table to add to
+ * @param {string} title The title of the row
+ * @param {string} subtitle The subtitle of the row, if any
+ * @param {boolean} isHeader Whether the row is a header
+ * @returns {UITableRow} The row
+ */
+function addTextRow(table, title, subtitle, isHeader = false) {
+    const row = new UITableRow();
+    row.isHeader = isHeader;
+    row.height = subtitle ? 60 : 44;
+    row.addText(title, subtitle);
+    table.addRow(row);
+    return row;
+}
+
+/**
+ * Asks the user whether to pin a route as the preferred route for the destination, and if so writes it into the config file.
+ * @async
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {string} routeName The name of the route to pin
+ * @returns A Promise that resolves to true if the route was pinned
+ */
+async function confirmPinRoute(routeInfo, routeName) {
+    const destination = routeInfo.destinationLocation.replaceAll('+', ' ');
+
+    const confirmAlert = new Alert();
+    confirmAlert.title = `Pin ${routeName}?`;
+    confirmAlert.message = `${routeName} will be used for trips to ${destination} whenever it is one of the routes found.`;
+    confirmAlert.addAction('Pin');
+    confirmAlert.addCancelAction('Cancel');
+
+    if ((await confirmAlert.presentAlert()) === -1) {
+        return false;
+    }
+
+    const errors = await routeModule.pinPreferredRoute(
+        routeInfo.destinationLocation,
+        routeInfo.knownPlaceName,
+        routeName
+    );
+
+    if (errors.length > 0) {
+        if (DEBUG)
+            logger.writeToLogFile(
+                `Couldn't pin ${routeName}: ${errors.join(', ')}`,
+                'confirmPinRoute',
+                'ERROR'
+            );
+
+        const errorAlert = new Alert();
+        errorAlert.title = "Couldn't pin the route";
+        errorAlert.message = errors.join('\n');
+        errorAlert.addAction('OK');
+        await errorAlert.presentAlert();
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Fills the table with the next event, a link to the known places manager, when to leave, how late the user is running if they are, the buffer
+ * added to the travel time and every route that was found. Tapping a route offers to pin it as the preferred route for the destination.
+ * @param {UITable} table The table to fill
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {string} pinnedRoute The name of the route pinned since the table was presented, if any
+ */
+function fillTable(table, routeInfo, pinnedRoute) {
+    table.removeAllRows();
+
+    addTextRow(
+        table,
+        routeInfo.knownPlaceName || routeInfo.destinationName,
+        routeInfo.arrivalTargetTime
+            ? `${routeInfo.destinationLocation.replaceAll(
+                  '+',
+                  ' '
+              )} at ${formatTime(routeInfo.arrivalTargetTime)}`
+            : routeInfo.statusMessage,
+        true
+    );
+
+    const managerRow = addTextRow(
+        table,
+        'Manage known places',
+        'Add, edit, import and export known places'
+    );
+    managerRow.dismissOnSelect = false;
+    managerRow.onSelect = () =>
+        knownPlacesManager.presentKnownPlacesManager(routeInfo);
+
+    if (routeInfo.status !== travelStatus.OK) {
+        return;
+    }
+
+    addTextRow(
+        table,
+        `Leave by ${formatTime(routeInfo.leaveByTime)}`,
+        `From ${routeInfo.originName}`
+    );
+
+    // Only ever opens the compose view, so nothing is sent without the user tapping Send
+    if (routeInfo.lateBySeconds > 0) {
+        const lateRow = addTextRow(
+            table,
+            `Running ${Math.ceil(routeInfo.lateBySeconds / 60)} min late`,
+            'Tap to let the people at the event know'
+        );
+        lateRow.dismissOnSelect = false;
+        lateRow.onSelect = () =>
+            runningLateMessenger.composeRunningLateMessage(routeInfo);
+    }
+
+    addTextRow(
+        table,
+        `Buffer of ${Math.round(routeInfo.bufferSeconds / 60)} min`,
+        'Added to the travel time to allow for the unexpected'
+    );
+
+    addTextRow(
+        table,
+        'Routes',
+        'Tap a route to pin it for this destination',
+        true
+    );
+
+    const routes = [...routeInfo.routes].sort(
+        (route1, route2) => route1.travelTimeSeconds - route2.travelTimeSeconds
+    );
+    for (const route of routes) {
+        let label = '';
+        if (route.routeName === pinnedRoute) {
+            label = ' (pinned)';
+        } else if (route.routeName === routeInfo.routeName) {
+            label = ' (in use)';
+        }
+
+        const row = addTextRow(
+            table,
+            `${route.routeName}${label}`,
+            getRouteTimes(route)
+        );
+        row.dismissOnSelect = false;
+        row.onSelect = async () => {
+            if (await confirmPinRoute(routeInfo, route.routeName)) {
+                fillTable(table, routeInfo, route.routeName);
+                table.reload();
+            }
+        };
+    }
+}
+
+/**
+ * Presents the route explorer, for when the script is run in the Scriptable app. It shows the next event, when to leave, the buffer added to
+ * the travel time and every route that was found with its travel time and traffic delay, and lets the user pin a route as the preferred route
+ * for the destination. If the travel time couldn't be worked out, it shows why instead.
+ * @async
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ */
+async function presentRouteExplorer(routeInfo) {
+    if (DEBUG) logger.pushFunction('presentRouteExplorer');
+
+    const table = new UITable();
+    table.showSeparators = true;
+    fillTable(table, routeInfo, undefined);
+
+    await table.present();
+
+    if (DEBUG) logger.popFunction('presentRouteExplorer');
+}
+
+module.exports.presentRouteExplorer = presentRouteExplorer;
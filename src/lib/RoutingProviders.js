@@ -0,0 +1,648 @@
+/**
+ * @module RoutingProviders
+ * @author Todd Hosey
+ * @version 1.0
+ * @license GNU General Public License, version 3
+ * @exports getRoutingProvider function
+ * @exports fetchRoutes function
+ */
+'use strict';
+
+const DEBUG = false;
+const logger = DEBUG ? importModule('/lib/Logger').logger : null;
+
+/**
+ * Default settings for each of the supported routing providers. Any of these can be overridden by the <code>routing</code> section of the
+ * DestinationTravelTime.config.json file, e.g. to point the provider at a self-hosted server or a local stand-in server for offline testing.
+ */
+const providerDefaults = {
+    google: {
+        base_url: 'https://maps.googleapis.com/maps/api/directions/json',
+        api_key_keychain: 'MAPS_API_KEY',
+    },
+    osrm: {
+        base_url: 'http://localhost:5000',
+        profiles: { driving: 'driving', walking: 'foot', bicycling: 'bike' },
+        api_key_keychain: null,
+    },
+    valhalla: {
+        base_url: 'http://localhost:8002',
+        costing: {
+            driving: 'auto',
+            walking: 'pedestrian',
+            bicycling: 'bicycle',
+        },
+        api_key_keychain: null,
+    },
+    here: {
+        base_url: 'https://router.hereapi.com/v8/routes',
+        transport_modes: {
+            driving: 'car',
+            walking: 'pedestrian',
+            bicycling: 'bicycle',
+        },
+        api_key_keychain: 'HERE_API_KEY',
+    },
+};
+
+/**
+ * How each provider names the features that routes can avoid. Each provider is passed whichever of 'tolls', 'highways' and 'ferries' are in
+ * the <code>avoid</code> request option.
+ */
+const avoidFeatures = {
+    google: { tolls: 'tolls', highways: 'highways', ferries: 'ferries' },
+    osrm: { tolls: 'toll', highways: 'motorway', ferries: 'ferry' },
+    valhalla: {
+        tolls: 'use_tolls',
+        highways: 'use_highways',
+        ferries: 'use_ferry',
+    },
+    here: {
+        tolls: 'tollRoad',
+        highways: 'controlledAccessHighway',
+        ferries: 'ferry',
+    },
+};
+
+/**
+ * Translates the features to avoid into the provider's own names for them.
+ * @param {string} providerName The name of the provider
+ * @param {Array} avoid The features to avoid: 'tolls', 'highways' and/or 'ferries'
+ * @returns {Array} The provider's names for the features
+ */
+function getAvoidFeatures(providerName, avoid = []) {
+    return avoid.map((feature) => avoidFeatures[providerName][feature]);
+}
+
+/**
+ * Maps an HTTP status code from a non-Google provider onto the Google Directions API status vocabulary, which is what the rest of the
+ * module understands.
+ * @param {number} statusCode The HTTP status code of the response
+ * @returns {string} The equivalent Google Directions API status
+ */
+function statusFromHttpCode(statusCode) {
+    if (statusCode === 401 || statusCode === 403) {
+        return 'REQUEST_DENIED';
+    } else if (statusCode === 429) {
+        return 'OVER_QUERY_LIMIT';
+    } else if (statusCode >= 400 && statusCode < 500) {
+        return 'INVALID_REQUEST';
+    } else {
+        return 'UNKNOWN_ERROR';
+    }
+}
+
+/**
+ * Builds a Google-style route summary (e.g. "M1 and M31") from a list of road segments, by picking the two roads that the most time
+ * is spent on. Used for providers that don't return a summary of their own.
+ * @param {Array} segments Array of <code>{name: string, duration: number}</code> objects
+ * @param {number} index The index of the route, used to name the route if no road names are available
+ * @returns {string} The route summary
+ */
+function summariseRoadNames(segments, index) {
+    const timeOnRoad = new Map();
+    for (const segment of segments) {
+        if (segment.name) {
+            timeOnRoad.set(
+                segment.name,
+                (timeOnRoad.get(segment.name) || 0) + segment.duration
+            );
+        }
+    }
+
+    const topRoads = [...timeOnRoad.entries()]
+        .sort((road1, road2) => road2[1] - road1[1])
+        .slice(0, 2)
+        .map((road) => road[0]);
+
+    return topRoads.length > 0 ? topRoads.join(' and ') : `Route ${index + 1}`;
+}
+
+/**
+ * Creates the provider for the Google Maps Directions Web API. Google geocodes the origin and destination strings itself, so coordinates are not required.
+ * @param {Object} settings The routing settings, merged with the Google defaults
+ * @param {string} apiKey The Google Maps Directions API key
+ * @returns The Google routing provider
+ */
+function createGoogleProvider(settings, apiKey) {
+    // Traffic only applies to driving, and a departure time is needed for both traffic and transit timetables. Only transit can be planned by arrival time.
+    const toSeconds = (time) => Math.floor(time.getTime() / 1000);
+    const getDepartureParam = (options) =>
+        `&departure_time=${
+            options.departureTime ? toSeconds(options.departureTime) : 'now'
+        }`;
+    const modeParams = {
+        driving: (options) =>
+            `${getDepartureParam(options)}&traffic_model=pessimistic`,
+        transit: (options) =>
+            options.arrivalTime
+                ? `&arrival_time=${toSeconds(options.arrivalTime)}`
+                : getDepartureParam(options),
+        walking: () => '',
+        bicycling: () => '',
+    };
+
+    /**
+     * Pulls the line names and the departure of the first transit leg out of the steps of a transit route
+     */
+    const getTransitDetails = (leg) => {
+        const transitSteps = (leg.steps || [])
+            .filter((step) => step.travel_mode === 'TRANSIT')
+            .map((step) => step.transit_details);
+
+        if (transitSteps.length === 0) return null;
+
+        return {
+            lines: transitSteps.map(
+                (details) => details.line.short_name || details.line.name
+            ),
+            departureTime: transitSteps[0].departure_time.value * 1000,
+            departureStop: transitSteps[0].departure_stop.name,
+        };
+    };
+
+    return {
+        name: 'google',
+        requiresCoordinates: false,
+        supportedModes: Object.keys(modeParams),
+        buildRequest: (origin, destination, options) => {
+            return new Request(
+                `${settings.base_url}?key=${apiKey}&origin=${
+                    typeof origin === 'string'
+                        ? origin
+                        : `${origin.latitude},${origin.longitude}`
+                }&destination=${destination}&alternatives=true&mode=${
+                    options.mode
+                }${modeParams[options.mode](options)}${
+                    options.avoid?.length > 0
+                        ? `&avoid=${getAvoidFeatures(
+                              'google',
+                              options.avoid
+                          ).join('|')}`
+                        : ''
+                }`
+            );
+        },
+        parseResponse: (result) => {
+            if (result?.status !== 'OK') {
+                return {
+                    status: result?.status,
+                    error: result?.error_message,
+                    routes: [],
+                };
+            }
+
+            // The last geocoded waypoint is the destination
+            const placeId = result.geocoded_waypoints?.at(-1)?.place_id;
+
+            return {
+                status: 'OK',
+                routes: result.routes.map((route) => {
+                    const leg = route.legs[0];
+                    const transit = getTransitDetails(leg);
+
+                    return {
+                        name: transit
+                            ? transit.lines.join(', ')
+                            : route.summary,
+                        travelTime: (leg.duration_in_traffic || leg.duration)
+                            .value,
+                        // Without traffic, the plain duration is the travel time on empty roads
+                        freeFlowTime: leg.duration_in_traffic
+                            ? leg.duration.value
+                            : undefined,
+                        departureTime: leg.departure_time
+                            ? leg.departure_time.value * 1000
+                            : undefined,
+                        transit: transit,
+                        placeId: placeId,
+                        endLocation: leg.end_location && {
+                            latitude: leg.end_location.lat,
+                            longitude: leg.end_location.lng,
+                        },
+                    };
+                }),
+            };
+        },
+    };
+}
+
+/**
+ * Creates the provider for a self-hosted OSRM server (http://project-osrm.org). OSRM does not geocode, so the destination must be coordinates.
+ * @param {Object} settings The routing settings, merged with the OSRM defaults
+ * @returns The OSRM routing provider
+ */
+function createOsrmProvider(settings) {
+    const osrmStatuses = {
+        Ok: 'OK',
+        NoRoute: 'ZERO_RESULTS',
+        NoSegment: 'NOT_FOUND',
+        InvalidUrl: 'INVALID_REQUEST',
+        InvalidQuery: 'INVALID_REQUEST',
+        InvalidValue: 'INVALID_REQUEST',
+        TooBig: 'INVALID_REQUEST',
+    };
+
+    return {
+        name: 'osrm',
+        requiresCoordinates: true,
+        supportedModes: Object.keys(settings.profiles),
+        buildRequest: (origin, destination, options) => {
+            return new Request(
+                `${settings.base_url}/route/v1/${
+                    settings.profiles[options.mode]
+                }/${origin.longitude},${origin.latitude};${
+                    destination.longitude
+                },${
+                    destination.latitude
+                }?alternatives=true&steps=true&overview=false${
+                    options.avoid?.length > 0
+                        ? `&exclude=${getAvoidFeatures(
+                              'osrm',
+                              options.avoid
+                          ).join(',')}`
+                        : ''
+                }`
+            );
+        },
+        parseResponse: (result) => {
+            if (result?.code !== 'Ok') {
+                return {
+                    status: osrmStatuses[result?.code] || 'UNKNOWN_ERROR',
+                    error: result?.message,
+                    routes: [],
+                };
+            }
+
+            // OSRM snaps the destination to the nearest road, which is where every route ends
+            const destinationWaypoint = result.waypoints?.at(-1)?.location;
+
+            return {
+                status: 'OK',
+                routes: result.routes.map((route, index) => {
+                    return {
+                        name: route.legs[0].summary || `Route ${index + 1}`,
+                        travelTime: Math.round(route.duration),
+                        endLocation: destinationWaypoint && {
+                            latitude: destinationWaypoint[1],
+                            longitude: destinationWaypoint[0],
+                        },
+                    };
+                }),
+            };
+        },
+    };
+}
+
+/**
+ * Creates the provider for a self-hosted Valhalla server (https://github.com/valhalla/valhalla). Valhalla does not geocode, so the destination
+ * must be coordinates.
+ * @param {Object} settings The routing settings, merged with the Valhalla defaults
+ * @returns The Valhalla routing provider
+ */
+function createValhallaProvider(settings) {
+    const tripToRoute = (trip, index) => {
+        const segments = trip.legs
+            .flatMap((leg) => leg.maneuvers || [])
+            .map((maneuver) => {
+                return {
+                    name: maneuver.street_names?.[0],
+                    duration: maneuver.time,
+                };
+            });
+
+        const endLocation = trip.locations?.at(-1);
+
+        return {
+            name: summariseRoadNames(segments, index),
+            travelTime: Math.round(trip.summary.time),
+            endLocation: endLocation && {
+                latitude: endLocation.lat,
+                longitude: endLocation.lon,
+            },
+        };
+    };
+
+    return {
+        name: 'valhalla',
+        requiresCoordinates: true,
+        supportedModes: Object.keys(settings.costing),
+        buildRequest: (origin, destination, options) => {
+            const req = new Request(`${settings.base_url}/route`);
+            req.method = 'POST';
+            req.headers = { 'Content-Type': 'application/json' };
+            const body = {
+                locations: [
+                    { lat: origin.latitude, lon: origin.longitude },
+                    { lat: destination.latitude, lon: destination.longitude },
+                ],
+                costing: settings.costing[options.mode],
+                alternates: 2,
+            };
+
+            // Valhalla takes how keen the route should be on each feature, from 0 (avoid) to 1 (prefer)
+            if (options.avoid?.length > 0) {
+                body.costing_options = {
+                    [body.costing]: Object.fromEntries(
+                        getAvoidFeatures('valhalla', options.avoid).map(
+                            (feature) => [feature, 0]
+                        )
+                    ),
+                };
+            }
+
+            if (options.departureTime) {
+                // Valhalla wants the local time at the origin, without a time zone
+                const departure = options.departureTime;
+                const pad = (value) => String(value).padStart(2, '0');
+                body.date_time = {
+                    type: 1,
+                    value: `${departure.getFullYear()}-${pad(
+                        departure.getMonth() + 1
+                    )}-${pad(departure.getDate())}T${pad(
+                        departure.getHours()
+                    )}:${pad(departure.getMinutes())}`,
+                };
+            }
+
+            req.body = JSON.stringify(body);
+            return req;
+        },
+        parseResponse: (result, statusCode) => {
+            if (!result?.trip) {
+                // Valhalla error codes 440-449 are the "no route found" family
+                const noRoute =
+                    result?.error_code >= 440 && result?.error_code < 450;
+                return {
+                    status: noRoute
+                        ? 'ZERO_RESULTS'
+                        : statusFromHttpCode(statusCode),
+                    error: result?.error,
+                    routes: [],
+                };
+            }
+
+            const trips = [
+                result.trip,
+                ...(result.alternates || []).map((alt) => alt.trip),
+            ];
+
+            return {
+                status: 'OK',
+                routes: trips.map(tripToRoute),
+            };
+        },
+    };
+}
+
+/**
+ * Creates the provider for a HERE-style REST routing API (HERE Routing API v8). Coordinates are required for the destination.
+ * @param {Object} settings The routing settings, merged with the HERE defaults
+ * @param {string} apiKey The HERE API key
+ * @returns The HERE routing provider
+ */
+function createHereProvider(settings, apiKey) {
+    return {
+        name: 'here',
+        requiresCoordinates: true,
+        supportedModes: Object.keys(settings.transport_modes),
+        buildRequest: (origin, destination, options) => {
+            return new Request(
+                `${settings.base_url}?apikey=${apiKey}&transportMode=${
+                    settings.transport_modes[options.mode]
+                }&origin=${origin.latitude},${origin.longitude}&destination=${
+                    destination.latitude
+                },${destination.longitude}&alternatives=2&departureTime=${
+                    options.departureTime
+                        ? options.departureTime.toISOString()
+                        : 'any'
+                }&return=summary,turnByTurnActions${
+                    options.avoid?.length > 0
+                        ? `&avoid[features]=${getAvoidFeatures(
+                              'here',
+                              options.avoid
+                          ).join(',')}`
+                        : ''
+                }`
+            );
+        },
+        parseResponse: (result, statusCode) => {
+            if (!Array.isArray(result?.routes)) {
+                return {
+                    status: statusFromHttpCode(statusCode),
+                    error:
+                        result?.error_description ||
+                        result?.title ||
+                        result?.error,
+                    routes: [],
+                };
+            }
+
+            if (result.routes.length === 0) {
+                return {
+                    status: 'ZERO_RESULTS',
+                    error: result.notices?.[0]?.title,
+                    routes: [],
+                };
+            }
+
+            return {
+                status: 'OK',
+                routes: result.routes.map((route, index) => {
+                    const segments = route.sections
+                        .flatMap((section) => section.turnByTurnActions || [])
+                        .map((action) => {
+                            return {
+                                name:
+                                    action.currentRoad?.number?.[0]?.value ||
+                                    action.currentRoad?.name?.[0]?.value,
+                                duration: action.duration,
+                            };
+                        });
+
+                    const endLocation =
+                        route.sections.at(-1)?.arrival?.place?.location;
+
+                    return {
+                        name: summariseRoadNames(segments, index),
+                        travelTime: route.sections.reduce(
+                            (total, section) =>
+                                total + section.summary.duration,
+                            0
+                        ),
+                        freeFlowTime: route.sections.reduce(
+                            (total, section) =>
+                                total +
+                                (section.summary.baseDuration ??
+                                    section.summary.duration),
+                            0
+                        ),
+                        endLocation: endLocation && {
+                            latitude: endLocation.lat,
+                            longitude: endLocation.lng,
+                        },
+                    };
+                }),
+            };
+        },
+    };
+}
+
+const providerFactories = {
+    google: createGoogleProvider,
+    osrm: createOsrmProvider,
+    valhalla: createValhallaProvider,
+    here: createHereProvider,
+};
+
+/**
+ * Returns the routing provider described by the <code>routing</code> section of the config file. If no section is given, the Google
+ * Maps Directions Web API is used, as it always has been.
+ * @param {Object} routingConfig The <code>routing</code> section of the config file: <code>{provider: string, base_url: string, ...}</code>
+ * @returns The routing provider object, or null if the provider named in the config is not supported. If the provider needs an API key that
+ * isn't in the Keychain, the provider object has a <code>missingApiKey</code> value with the name of the Keychain key. The provider is
+ * <code>metered</code> if it needs an API key, as the services that need one charge for calls, unlike a self-hosted server.
+ */
+function getRoutingProvider(routingConfig = {}) {
+    const providerName = routingConfig.provider || 'google';
+    const createProvider = providerFactories[providerName];
+
+    if (!createProvider) {
+        if (DEBUG)
+            logger.writeToLogFile(
+                `Routing provider '${providerName}' is not supported`,
+                'getRoutingProvider',
+                'ERROR'
+            );
+        return null;
+    }
+
+    const settings = { ...providerDefaults[providerName], ...routingConfig };
+    const keyName = settings.api_key_keychain;
+
+    const metered = Boolean(keyName);
+
+    if (keyName && !Keychain.contains(keyName)) {
+        // Still hand back the provider, but flag the key that is missing so that the caller can report it
+        return {
+            ...createProvider(settings, null),
+            metered: metered,
+            missingApiKey: keyName,
+        };
+    }
+
+    return {
+        ...createProvider(settings, keyName ? Keychain.get(keyName) : null),
+        metered: metered,
+    };
+}
+
+/**
+ * Converts an address string from a calendar event into coordinates using the device's geocoder. Only needed for providers
+ * that cannot geocode the destination themselves.
+ * @async
+ * @param {string} place The URL-friendly address string from the calendar event
+ * @returns A Promise that resolves to a <code>{latitude, longitude}</code> object, or null if the address could not be geocoded
+ */
+async function resolveCoordinates(place) {
+    const address = place.replaceAll('+', ' ');
+    const placemarks = await Location.geocode(address);
+
+    if (!placemarks?.length) return null;
+
+    return {
+        latitude: placemarks[0].location.latitude,
+        longitude: placemarks[0].location.longitude,
+    };
+}
+
+/**
+ * Requests routes from the given provider and normalises them into <code>{name, travelTime, mode}</code> route objects. Transit routes
+ * also carry a <code>transit</code> object: <code>{lines: Array, departureTime: number, departureStop: string}</code>. Where the provider gives them,
+ * routes also carry the <code>endLocation</code> (<code>{latitude, longitude}</code>), the <code>placeId</code> the destination was geocoded to and
+ * the <code>freeFlowTime</code>, which is the travel time without traffic.
+ * @async
+ * @param {Object} provider The routing provider from getRoutingProvider
+ * @param {Object|string} origin Location data with <code>latitude</code> and <code>longitude</code> values, or a URL-friendly address string
+ * @param {string} destination The URL-friendly destination string from the calendar event
+ * @param {Object} options Request options: <code>{mode: string, departureTime: Date, arrivalTime: Date, avoid: Array}</code>, where mode is 'driving', 'transit',
+ * 'walking' or 'bicycling'. If neither time is given the routes are for leaving now. Not every provider can plan by arrival time or in the future, and those
+ * that can't will ignore the times. Avoid lists the features the routes should avoid: 'tolls', 'highways' and/or 'ferries'.
+ * @returns A Promise that resolves to <code>{status: string, error: string, routes: Array}</code>. The status uses the Google Directions
+ * API vocabulary ('OK', 'ZERO_RESULTS', 'REQUEST_DENIED' etc.) regardless of the provider, plus 'NETWORK_ERROR' if the provider could
+ * not be reached.
+ */
+async function fetchRoutes(provider, origin, destination, options) {
+    if (!provider.supportedModes.includes(options.mode)) {
+        return {
+            status: 'INVALID_REQUEST',
+            error: `${provider.name} does not support the ${options.mode} travel mode`,
+            routes: [],
+        };
+    }
+
+    let providerOrigin = origin;
+    let providerDestination = destination;
+    if (provider.requiresCoordinates) {
+        try {
+            if (typeof origin === 'string') {
+                providerOrigin = await resolveCoordinates(origin);
+            }
+            providerDestination = await resolveCoordinates(destination);
+        } catch (err) {
+            // The device geocoder needs a network connection too
+            return {
+                status: 'NETWORK_ERROR',
+                error: err.message || String(err),
+                routes: [],
+            };
+        }
+        if (!providerOrigin || !providerDestination) {
+            return {
+                status: 'NOT_FOUND',
+                error: `Could not find coordinates for ${
+                    providerOrigin ? destination : origin
+                }`,
+                routes: [],
+            };
+        }
+    }
+
+    const req = provider.buildRequest(
+        providerOrigin,
+        providerDestination,
+        options
+    );
+    if (DEBUG)
+        logger.writeToLogFile(
+            `Requesting routes from ${provider.name}: '${req.url}'`,
+            'fetchRoutes'
+        );
+
+    let result = null;
+    try {
+        result = await req.loadJSON();
+    } catch (err) {
+        if (DEBUG) logger.writeToLogFile(err, 'fetchRoutes', 'ERROR');
+
+        return {
+            status: 'NETWORK_ERROR',
+            error: err.message || String(err),
+            routes: [],
+        };
+    }
+
+    const parsedResult = provider.parseResponse(
+        result,
+        req.response?.statusCode
+    );
+
+    parsedResult.routes.forEach((route) => {
+        route.mode = options.mode;
+    });
+
+    return parsedResult;
+}
+
+module.exports.getRoutingProvider = getRoutingProvider;
+module.exports.fetchRoutes = fetchRoutes;
@@ -0,0 +1,156 @@
+/**
+ * @module RunningLateMessenger
+ * @author Todd Hosey
+ * @version 1.0
+ * @license GNU General Public License, version 3
+ * @exports composeRunningLateMessage function
+ *
+ */
+'use strict';
+
+const DEBUG = false;
+const logger = DEBUG ? importModule('/lib/Logger').logger : null;
+
+const routeModule = importModule('/lib/DestinationTravelTime');
+
+// The attendee role of whoever organised the event
+const kOrganiserRole = 'chair';
+
+/**
+ * Formats a date as a short time, e.g. "14:20"
+ * @param {Date} date The date to format
+ * @returns {string} The formatted time
+ */
+function formatTime(date) {
+    const timeFormatter = new DateFormatter();
+    timeFormatter.useNoDateStyle();
+    timeFormatter.useShortTimeStyle();
+    return timeFormatter.string(date);
+}
+
+/**
+ * Fills in the placeholders in a message template. Placeholders that aren't known are left as they are.
+ * @param {string} template The template, e.g. from <code>running_late.message_template</code>
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @returns {string} The filled in template
+ */
+function fillTemplate(template, routeInfo) {
+    const values = {
+        event: routeInfo.destinationName,
+        late: Math.ceil((routeInfo.lateBySeconds || 0) / 60),
+        eta: formatTime(routeInfo.expectedArrivalTime),
+        start: formatTime(routeInfo.arrivalTargetTime),
+        route: routeInfo.routeName,
+        destination:
+            routeInfo.knownPlaceName ||
+            routeInfo.destinationLocation.replaceAll('+', ' '),
+    };
+
+    return template.replaceAll(/\{(\w+)\}/g, (placeholder, name) =>
+        values[name] !== undefined ? String(values[name]) : placeholder
+    );
+}
+
+/**
+ * Picks out who to tell: the organiser if <code>send_to</code> is 'organiser' and the event has one, otherwise all the other attendees.
+ * @param {Array} attendees The attendees of the event, from the routeInfo
+ * @param {string} sendTo The <code>running_late.send_to</code> setting
+ * @returns {Array} The attendees to tell
+ */
+function getRecipients(attendees, sendTo) {
+    const organisers = attendees.filter(
+        (attendee) => attendee.role === kOrganiserRole
+    );
+
+    return sendTo === 'organiser' && organisers.length > 0
+        ? organisers
+        : attendees;
+}
+
+/**
+ * Finds where to send the message for each recipient. The calendar only gives attendees' names, so they are looked up in the user's contacts:
+ * a phone number is preferred for messages, falling back to an email address, and only email addresses will do for mail. An attendee whose
+ * name is an email address is sent to directly. Recipients who can't be found are left for the user to add in the compose view.
+ * @async
+ * @param {Array} recipients The attendees to tell
+ * @param {string} method The <code>running_late.method</code> setting, 'message' or 'mail'
+ * @returns A Promise that resolves to an Array of phone numbers and email addresses
+ */
+async function findAddresses(recipients, method) {
+    let contacts = [];
+    if (recipients.some((recipient) => !recipient.name.includes('@'))) {
+        try {
+            contacts = await Contact.all(await ContactsContainer.all());
+        } catch (err) {
+            // Without access to the contacts the user can still pick the recipients in the compose view
+            if (DEBUG)
+                logger.writeToLogFile(
+                    `Couldn't read the contacts: ${err}`,
+                    'findAddresses',
+                    'WARN'
+                );
+        }
+    }
+
+    const addresses = [];
+    for (const recipient of recipients) {
+        if (recipient.name.includes('@')) {
+            addresses.push(recipient.name.replace(/^mailto:/i, ''));
+            continue;
+        }
+
+        const name = recipient.name.trim().toLowerCase();
+        const contact = contacts.find((candidate) =>
+            [
+                `${candidate.givenName} ${candidate.familyName}`,
+                candidate.nickname,
+                candidate.organizationName,
+            ].some((contactName) => contactName?.trim().toLowerCase() === name)
+        );
+        if (!contact) continue;
+
+        const address =
+            (method === 'message' && contact.phoneNumbers[0]?.value) ||
+            contact.emailAddresses[0]?.value;
+        if (address) addresses.push(address);
+    }
+
+    return addresses;
+}
+
+/**
+ * Opens a message (or mail, depending on <code>running_late.method</code>) to the organiser or attendees of the next event, saying how late the
+ * user is running and when they expect to get there, from the templates in the config. Nothing is sent unless the user taps Send in the compose
+ * view.
+ * @async
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ */
+async function composeRunningLateMessage(routeInfo) {
+    if (DEBUG) logger.pushFunction('composeRunningLateMessage');
+
+    const { config: settings } = await routeModule.getConfig();
+    const lateSettings = settings.running_late;
+
+    const addresses = await findAddresses(
+        getRecipients(routeInfo.attendees || [], lateSettings.send_to),
+        lateSettings.method
+    );
+    const body = fillTemplate(lateSettings.message_template, routeInfo);
+
+    if (lateSettings.method === 'mail') {
+        const mail = new Mail();
+        mail.toRecipients = addresses;
+        mail.subject = fillTemplate(lateSettings.subject_template, routeInfo);
+        mail.body = body;
+        await mail.send();
+    } else {
+        const message = new Message();
+        message.recipients = addresses;
+        message.body = body;
+        await message.send();
+    }
+
+    if (DEBUG) logger.popFunction('composeRunningLateMessage');
+}
+
+module.exports.composeRunningLateMessage = composeRunningLateMessage;
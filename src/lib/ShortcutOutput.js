@@ -0,0 +1,164 @@
+/**
+ * @module ShortcutOutput
+ * @author Todd Hosey
+ * @version 1.0
+ * @license GNU General Public License, version 3
+ * @exports getShortcutRequest function
+ * @exports getShortcutOutput function
+ *
+ */
+'use strict';
+
+const travelStatus = importModule('/lib/TravelStatus').travelStatus;
+
+/**
+ * Reads a yes/no parameter, which may arrive as a boolean or number from a Shortcuts dictionary, or as text from a URL.
+ * @param {*} value The parameter value
+ * @param {boolean} defaultValue The value to use if the parameter wasn't given
+ * @returns {boolean} The parameter as a boolean
+ */
+function toBoolean(value, defaultValue) {
+    if (value === undefined || value === null || value === '') {
+        return defaultValue;
+    }
+
+    if (typeof value === 'string') {
+        return !['false', 'no', 'off', '0'].includes(
+            value.trim().toLowerCase()
+        );
+    }
+
+    return Boolean(value);
+}
+
+/**
+ * Works out whether the script has been run from Shortcuts (including by Siri) or from the scriptable:// URL scheme, and if so what it has
+ * been asked for. The parameters can be given as a Shortcuts dictionary or as the query parameters of the URL:
+ * <ul>
+ * <li><code>calendar</code>: the name of the calendar to check instead of those in the config</li>
+ * <li><code>destination</code>: an address or known place name to travel to instead of the location of the next event</li>
+ * <li><code>pessimistic</code>: whether to add the buffer to the travel time. Defaults to true, as for the widget</li>
+ * </ul>
+ * Plain text passed from Shortcuts is taken as the destination, and a dictionary passed as JSON text is read as a dictionary.
+ * @param {Object} scriptArgs The <code>args</code> the script was run with
+ * @param {Object} scriptConfig The <code>config</code> the script was run with
+ * @returns <code>{calendarName, destination, bePessimistic}</code>, or null if the script wasn't run from Shortcuts or the URL scheme
+ */
+function getShortcutRequest(scriptArgs, scriptConfig) {
+    let params = scriptArgs.shortcutParameter;
+    const queryParams = scriptArgs.queryParameters || {};
+
+    if (typeof params === 'string') {
+        try {
+            const parsed = JSON.parse(params);
+            params =
+                parsed && typeof parsed === 'object'
+                    ? parsed
+                    : { destination: params };
+        } catch (err) {
+            params = { destination: params };
+        }
+    }
+
+    if (params === undefined || params === null) {
+        if (Object.keys(queryParams).length > 0) {
+            params = queryParams;
+        } else if (scriptConfig.runsWithSiri) {
+            params = {};
+        } else {
+            return null;
+        }
+    }
+
+    return {
+        calendarName: params.calendar || undefined,
+        destination: params.destination || undefined,
+        bePessimistic: toBoolean(params.pessimistic, true),
+    };
+}
+
+/**
+ * Converts a value to one that Shortcuts can use, turning dates into ISO 8601 text that the Shortcuts date actions understand.
+ * @param {*} value The value to convert
+ * @returns The converted value
+ */
+function toShortcutValue(value) {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(toShortcutValue);
+    }
+
+    if (value && typeof value === 'object') {
+        const converted = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (item !== undefined) converted[key] = toShortcutValue(item);
+        }
+        return converted;
+    }
+
+    return value;
+}
+
+/**
+ * Describes the routeInfo in a sentence for Siri to speak, e.g. "Leave by 8:20 AM to get to Dentist by 8:45 AM. It's 25 minutes via M1."
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {number} minutesUntilLeave Minutes until the leave-by time, if there is one
+ * @returns {string} The summary
+ */
+function getSummary(routeInfo, minutesUntilLeave) {
+    if (routeInfo.status === travelStatus.ARRIVED) {
+        return `You're already at ${routeInfo.destinationName.replace(
+            /^At /,
+            ''
+        )}.`;
+    }
+
+    if (routeInfo.status !== travelStatus.OK) {
+        return routeInfo.statusMessage
+            ? `${routeInfo.statusMessage}.`
+            : routeInfo.destinationName;
+    }
+
+    const timeFormatter = new DateFormatter();
+    timeFormatter.useNoDateStyle();
+    timeFormatter.useShortTimeStyle();
+
+    const when =
+        minutesUntilLeave <= 0
+            ? 'Leave now'
+            : `Leave by ${timeFormatter.string(routeInfo.leaveByTime)}`;
+
+    return `${when} to get to ${
+        routeInfo.destinationName
+    } by ${timeFormatter.string(routeInfo.arrivalTargetTime)}. It's ${Math.ceil(
+        routeInfo.routeTimeSeconds / 60
+    )} minutes via ${routeInfo.routeName}.`;
+}
+
+/**
+ * Builds the output for Shortcuts from the routeInfo. It has all the routeInfo, with dates as ISO 8601 text, plus:
+ * <ul>
+ * <li><code>summary</code>: a sentence for Siri to speak, as per getSummary</li>
+ * <li><code>minutesUntilLeave</code>: minutes until the leave-by time, rounded up, so 0 or less once it has passed. Only present when there is a travel time.</li>
+ * </ul>
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @returns {Object} The dictionary to pass to Script.setShortcutOutput
+ */
+function getShortcutOutput(routeInfo) {
+    const minutesUntilLeave =
+        routeInfo.status === travelStatus.OK
+            ? Math.ceil((routeInfo.leaveByTime - Date.now()) / 60 / 1000)
+            : undefined;
+
+    return toShortcutValue({
+        ...routeInfo,
+        summary: getSummary(routeInfo, minutesUntilLeave),
+        minutesUntilLeave: minutesUntilLeave,
+    });
+}
+
+module.exports.getShortcutRequest = getShortcutRequest;
+module.exports.getShortcutOutput = getShortcutOutput;
@@ -0,0 +1,156 @@
+/**
+ * @module TravelBlocks
+ * @author Todd Hosey
+ * @version 1.0
+ * @license GNU General Public License, version 3
+ * @exports syncTravelBlocks function
+ *
+ */
+'use strict';
+
+const DEBUG = false;
+const logger = DEBUG ? importModule('/lib/Logger').logger : null;
+
+// Every travel block has this tag on the last line of its notes, followed by the identifier of the event it is for. Only events with the tag
+// are ever changed or removed, so anything else in the calendar is left alone.
+const kBlockTag = '#travel-widget-block:';
+const kBlockTagPattern = /^#travel-widget-block:(.+)$/m;
+
+/**
+ * Gets the calendar the travel blocks go in, creating it if there isn't one yet.
+ * @async
+ * @param {string} calendarName The <code>travel_blocks.calendar_name</code> setting
+ * @returns A Promise that resolves to the Calendar, or null if it can't be written to
+ */
+async function getBlockCalendar(calendarName) {
+    let calendar = null;
+    try {
+        calendar = await Calendar.forEventsByTitle(calendarName);
+    } catch (err) {
+        calendar = await Calendar.createForEvents(calendarName);
+    }
+
+    return calendar.allowsContentModifications ? calendar : null;
+}
+
+/**
+ * Works out what the travel block for the next event should look like: from the leave-by time, rounded down to the minute so that the block
+ * isn't saved again for every few seconds the estimate moves, to the start of the event.
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @returns <code>{title, startDate, endDate, notes}</code>
+ */
+function getWantedBlock(routeInfo) {
+    const startMs = Math.floor(routeInfo.leaveByTime.getTime() / 60000) * 60000;
+
+    return {
+        title: `Travel to ${routeInfo.destinationName}`,
+        startDate: new Date(startMs),
+        endDate: routeInfo.arrivalTargetTime,
+        notes: `From ${routeInfo.originName} via ${
+            routeInfo.routeName
+        }, ${Math.ceil(
+            routeInfo.routeTimeSeconds / 60
+        )} min including the buffer.\n\n${kBlockTag}${
+            routeInfo.eventIdentifier
+        }`,
+    };
+}
+
+/**
+ * Brings the travel blocks in the travel blocks calendar into line with the upcoming events:
+ * <ul>
+ * <li>the block for the next event is created, or updated if the estimate has moved, so that it runs from the leave-by time to the start of the event</li>
+ * <li>blocks for events that are no longer upcoming, e.g. because they were cancelled, moved out of the window or had their location removed, are removed</li>
+ * </ul>
+ * Blocks for events that have already started are left as a record of the trip. Any error writing to the calendar is logged and otherwise
+ * ignored, as the travel time is still worth returning without the blocks.
+ *
+ * @async
+ * @param {Object} blockSettings The <code>travel_blocks</code> settings from the validated config
+ * @param {Date} windowEnd The end of the window the upcoming events were found in
+ * @param {Array} upcomingEventIds The identifiers of all the upcoming events with somewhere to travel to
+ * @param {Object} routeInfo The routeInfo for the next event, or null if there isn't a travel time for one
+ */
+async function syncTravelBlocks(
+    blockSettings,
+    windowEnd,
+    upcomingEventIds,
+    routeInfo
+) {
+    if (DEBUG) logger.pushFunction('syncTravelBlocks', 'getTravelTime');
+
+    try {
+        const calendar = await getBlockCalendar(blockSettings.calendar_name);
+        if (!calendar) {
+            throw `The ${blockSettings.calendar_name} calendar can't be written to`;
+        }
+
+        const now = new Date();
+        const blocks = (
+            await CalendarEvent.between(now, windowEnd, [calendar])
+        ).filter(
+            (block) => block.endDate > now && kBlockTagPattern.test(block.notes)
+        );
+
+        const wantedBlock = routeInfo?.leaveByTime && getWantedBlock(routeInfo);
+        let nextEventBlock = null;
+
+        for (const block of blocks) {
+            const eventIdentifier = block.notes.match(kBlockTagPattern)[1];
+
+            if (
+                wantedBlock &&
+                !nextEventBlock &&
+                eventIdentifier === routeInfo.eventIdentifier
+            ) {
+                nextEventBlock = block;
+            } else if (
+                eventIdentifier === routeInfo?.eventIdentifier ||
+                !upcomingEventIds.includes(eventIdentifier)
+            ) {
+                if (DEBUG)
+                    logger.writeToLogFile(
+                        `Removing '${block.title}'`,
+                        'syncTravelBlocks'
+                    );
+                block.remove();
+            }
+        }
+
+        if (wantedBlock) {
+            const block = nextEventBlock || new CalendarEvent();
+            const changed =
+                !nextEventBlock ||
+                block.title !== wantedBlock.title ||
+                block.notes !== wantedBlock.notes ||
+                block.startDate.getTime() !== wantedBlock.startDate.getTime() ||
+                block.endDate.getTime() !== wantedBlock.endDate.getTime();
+
+            if (changed) {
+                if (DEBUG)
+                    logger.writeToLogFile(
+                        `Saving '${wantedBlock.title}' from ${wantedBlock.startDate}`,
+                        'syncTravelBlocks'
+                    );
+
+                block.calendar = calendar;
+                block.title = wantedBlock.title;
+                block.startDate = wantedBlock.startDate;
+                block.endDate = wantedBlock.endDate;
+                block.notes = wantedBlock.notes;
+                block.save();
+            }
+        }
+    } catch (err) {
+        if (DEBUG)
+            logger.writeToLogFile(
+                `Couldn't update the travel blocks: ${err}`,
+                'syncTravelBlocks',
+                'ERROR'
+            );
+    }
+
+    if (DEBUG) logger.popFunction('syncTravelBlocks');
+}
+
+module.exports.syncTravelBlocks = syncTravelBlocks;
@@ -0,0 +1,247 @@
+/**
+ * @module TravelHistory
+ * @author Todd Hosey
+ * @version 1.0
+ * @license GNU General Public License, version 3
+ * @exports travelHistory object
+ *
+ */
+'use strict';
+
+const DEBUG = false;
+const logger = DEBUG ? importModule('/lib/Logger').logger : null;
+
+const kHistoryFileName = 'DestinationTravelTime.history.json';
+const kOldHistoryFileName = 'DestinationTravelTime.history.old.json';
+const kHoursPerWeek = 7 * 24;
+
+const travelHistory = (() => {
+    let records = [];
+    let oldRecords = [];
+    let maxRecords = 0;
+    let historyPath = '';
+    let historyOpen = false;
+
+    const fm = FileManager.iCloud();
+
+    /**
+     * @private
+     * @async
+     *
+     * Reads the records from a history file, downloading it if needed. A missing or unreadable file has no records.
+     * @param {string} fileName The name of the history file in the data folder
+     * @returns A Promise that resolves to the Array of records in the file
+     */
+    const readRecords = async (fileName) => {
+        const filePath = fm.joinPath(historyPath, fileName);
+
+        if (!fm.fileExists(filePath)) {
+            return [];
+        }
+
+        if (!fm.isFileDownloaded(filePath)) {
+            await fm.downloadFileFromiCloud(filePath);
+        }
+
+        try {
+            return JSON.parse(fm.readString(filePath));
+        } catch (err) {
+            // A corrupt history just means the statistics start again
+            if (DEBUG) logger.writeToLogFile(err, 'readRecords', 'ERROR');
+            return [];
+        }
+    };
+
+    /**
+     * @private
+     *
+     * Returns the recorded travel times for a destination and travel mode, from both the current and the rotated history files.
+     * @param {string} destinationKey The key the records were added with
+     * @param {string} travelMode The travel mode
+     * @returns {Array} The matching records
+     */
+    const getDestinationRecords = (destinationKey, travelMode) => {
+        return [...oldRecords, ...records].filter(
+            (record) =>
+                record.destination === destinationKey &&
+                record.mode === travelMode
+        );
+    };
+
+    /**
+     * @private
+     *
+     * Returns the median of an array of numbers, which is less thrown by the odd trip stuck behind an accident than the mean would be.
+     * @param {Array} values The numbers, which must not be empty
+     * @returns {number} The median
+     */
+    const getMedian = (values) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+
+        return sorted.length % 2 === 0
+            ? (sorted[middle - 1] + sorted[middle]) / 2
+            : sorted[middle];
+    };
+
+    /**
+     * @public
+     * @async
+     *
+     * 'Opens' the history files in the /data subfolder of the Scriptable folder in iCloud. This function must be called before any of the
+     * other functions.
+     * @param {number} maxHistoryRecords How many records the history file can hold before it is rotated
+     */
+    const openHistory = async (maxHistoryRecords) => {
+        historyPath = fm.joinPath(fm.documentsDirectory(), 'data');
+        maxRecords = maxHistoryRecords;
+
+        records = await readRecords(kHistoryFileName);
+        oldRecords = await readRecords(kOldHistoryFileName);
+
+        historyOpen = true;
+    };
+
+    /**
+     * Adds a travel time to the history.
+     *
+     * @param {Object} record The travel time: <code>{timestamp, departureTime, destination, knownPlace, mode, routeName, travelTimeSeconds,
+     * freeFlowSeconds, routes}</code>, where the times are in milliseconds since the UNIX epoch and routes has the <code>{name, travelTime,
+     * freeFlowTime}</code> of every route that was found
+     */
+    const addRecord = (record) => {
+        records.push(record);
+    };
+
+    /**
+     * Works out the typical travel time to a destination for departures on the same day of the week and at around the same time of day,
+     * counting departures just the other side of midnight as around the same time.
+     *
+     * @param {string} destinationKey The key the records were added with
+     * @param {string} travelMode The travel mode
+     * @param {Date} departureTime The departure time to find the typical travel time for
+     * @param {number} hourWindow How many hours either side of the departure time count as around the same time
+     * @param {number} minSamples How many records are needed before the typical time is worth trusting
+     * @returns <code>{travelTimeSeconds, routeName, samples}</code>, where routeName is the route most often taken, or null if there aren't
+     * enough records
+     */
+    const getTypicalTravelTime = (
+        destinationKey,
+        travelMode,
+        departureTime,
+        hourWindow,
+        minSamples
+    ) => {
+        // Measured in hours of the week, so that the window wraps around midnight, e.g. a departure at 23:30 on a Monday is around the same
+        // time as one at 00:15 on the Tuesday
+        const getWeekHour = (time) =>
+            time.getDay() * 24 + time.getHours() + time.getMinutes() / 60;
+        const departureWeekHour = getWeekHour(departureTime);
+
+        const similarRecords = getDestinationRecords(
+            destinationKey,
+            travelMode
+        ).filter((record) => {
+            const hoursApart = Math.abs(
+                getWeekHour(new Date(record.departureTime)) - departureWeekHour
+            );
+
+            return (
+                Math.min(hoursApart, kHoursPerWeek - hoursApart) <= hourWindow
+            );
+        });
+
+        if (similarRecords.length < minSamples) {
+            return null;
+        }
+
+        const routeCounts = new Map();
+        for (const record of similarRecords) {
+            routeCounts.set(
+                record.routeName,
+                (routeCounts.get(record.routeName) || 0) + 1
+            );
+        }
+
+        return {
+            travelTimeSeconds: Math.round(
+                getMedian(
+                    similarRecords.map((record) => record.travelTimeSeconds)
+                )
+            ),
+            routeName: [...routeCounts.entries()].sort(
+                (route1, route2) => route2[1] - route1[1]
+            )[0][0],
+            samples: similarRecords.length,
+        };
+    };
+
+    /**
+     * Works out how often the travel time to a destination has been more than its typical time plus a buffer. This answers "how often would I have
+     * been late if I'd allowed the usual time plus this buffer?".
+     *
+     * @param {string} destinationKey The key the records were added with
+     * @param {string} travelMode The travel mode
+     * @param {number} bufferSeconds The buffer allowed on top of the typical travel time
+     * @param {number} minSamples How many records are needed before the answer is worth trusting
+     * @returns <code>{lateCount, samples}</code>, or null if there aren't enough records
+     */
+    const getLateFrequency = (
+        destinationKey,
+        travelMode,
+        bufferSeconds,
+        minSamples
+    ) => {
+        const travelTimes = getDestinationRecords(
+            destinationKey,
+            travelMode
+        ).map((record) => record.travelTimeSeconds);
+
+        if (travelTimes.length < minSamples) {
+            return null;
+        }
+
+        const allowedSeconds = getMedian(travelTimes) + bufferSeconds;
+
+        return {
+            lateCount: travelTimes.filter(
+                (travelTime) => travelTime > allowedSeconds
+            ).length,
+            samples: travelTimes.length,
+        };
+    };
+
+    /**
+     * Writes the history back to iCloud. Once the history file holds the maximum number of records it is rotated: it replaces the old history
+     * file, and a new history file is started. The statistics use both files, so they always have between one and two files' worth of records.
+     */
+    const saveHistory = () => {
+        if (!historyOpen) {
+            throw 'TravelHistory.js error: history must be opened via openHistory before saveHistory can be called';
+        }
+
+        if (records.length >= maxRecords) {
+            fm.writeString(
+                fm.joinPath(historyPath, kOldHistoryFileName),
+                JSON.stringify(records)
+            );
+            oldRecords = records;
+            records = [];
+        }
+
+        fm.writeString(
+            fm.joinPath(historyPath, kHistoryFileName),
+            JSON.stringify(records)
+        );
+    };
+
+    return {
+        openHistory: openHistory,
+        addRecord: addRecord,
+        getTypicalTravelTime: getTypicalTravelTime,
+        getLateFrequency: getLateFrequency,
+        saveHistory: saveHistory,
+    };
+})();
+
+module.exports.travelHistory = travelHistory;
@@ -0,0 +1,37 @@
+/**
+ * @module TravelStatus
+ * @author Todd Hosey
+ * @version 1.0
+ * @license GNU General Public License, version 3
+ * @exports travelStatus object
+ *
+ */
+'use strict';
+
+/**
+ * The status codes that can be returned in the <code>status</code> of the routeInfo object from getTravelTime. ARRIVED means the user is
+ * already at the location of the next event and there is no other event to travel to yet. Anything other than OK, NO_EVENT and ARRIVED means
+ * the travel time could not be worked out, and the routeInfo will have a <code>statusMessage</code> with more detail.
+ *
+ * They are kept apart from DestinationTravelTime so that modules that only need the codes, such as RefreshScheduler, can be loaded and tested
+ * on their own.
+ */
+const travelStatus = Object.freeze({
+    OK: 'OK',
+    NO_EVENT: 'NO_EVENT',
+    ARRIVED: 'ARRIVED',
+    NO_CONFIG: 'NO_CONFIG',
+    NO_CALENDAR: 'NO_CALENDAR',
+    CONFIG_INVALID: 'CONFIG_INVALID',
+    NO_API_KEY: 'NO_API_KEY',
+    NO_LOCATION: 'NO_LOCATION',
+    NETWORK_ERROR: 'NETWORK_ERROR',
+    MAPS_REQUEST_DENIED: 'MAPS_REQUEST_DENIED',
+    ZERO_RESULTS: 'ZERO_RESULTS',
+    DESTINATION_NOT_FOUND: 'DESTINATION_NOT_FOUND',
+    OVER_QUERY_LIMIT: 'OVER_QUERY_LIMIT',
+    OVER_BUDGET: 'OVER_BUDGET',
+    MAPS_ERROR: 'MAPS_ERROR',
+});
+
+module.exports.travelStatus = travelStatus;
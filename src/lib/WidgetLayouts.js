@@ -0,0 +1,578 @@
+/**
+ * @module WidgetLayouts
+ * @author Todd Hosey
+ * @version 1.0
+ * @license GNU General Public License, version 3
+ * @exports createWidget function
+ *
+ */
+'use strict';
+
+const DEBUG = false;
+const logger = DEBUG ? importModule('/lib/Logger').logger : null;
+const travelStatus = importModule('/lib/TravelStatus').travelStatus;
+
+const kPadding = 8;
+
+/**
+ * What to show on the widget when the travel time can't be worked out, keyed by the routeInfo status. The action tells the user what
+ * they can do about it.
+ */
+const statusDisplays = {
+    [travelStatus.NO_CONFIG]: {
+        title: 'No config file',
+        action: 'Copy DestinationTravelTime.config.json into the data folder of the Scriptable iCloud folder',
+    },
+    [travelStatus.CONFIG_INVALID]: {
+        title: 'Config error',
+        action: 'Fix DestinationTravelTime.config.json:',
+    },
+    [travelStatus.NO_CALENDAR]: {
+        title: 'No calendar',
+        action: 'Check calendar_names (or calendar_name) in the config matches the name of a calendar',
+    },
+    [travelStatus.NO_API_KEY]: {
+        title: 'No API key',
+        action: "Add your API key in Scriptable with Keychain.set('%KEY%', '<your key>')",
+    },
+    [travelStatus.NO_LOCATION]: {
+        title: 'No location',
+        action: 'Allow Scriptable to use your location in Settings > Privacy > Location Services, or set a fallback_origin in the config',
+    },
+    [travelStatus.NETWORK_ERROR]: {
+        title: 'Offline',
+        action: "Couldn't reach the maps service. Tap to try again",
+    },
+    [travelStatus.MAPS_REQUEST_DENIED]: {
+        title: 'Maps access denied',
+        action: 'Check the API key is valid and the Directions API is enabled for it',
+    },
+    [travelStatus.ZERO_RESULTS]: {
+        title: 'No route found',
+        action: "Check the event location can be reached with the event's travel mode",
+    },
+    [travelStatus.DESTINATION_NOT_FOUND]: {
+        title: 'Unknown location',
+        action: 'Check the address in the event location',
+    },
+    [travelStatus.OVER_QUERY_LIMIT]: {
+        title: 'Over API quota',
+        action: 'Check the API usage and billing for your maps account',
+    },
+    [travelStatus.OVER_BUDGET]: {
+        title: 'API budget used up',
+        action: 'Raise api_budget.monthly_call_limit in the config, or wait until next month',
+    },
+    [travelStatus.MAPS_ERROR]: {
+        title: 'Maps API error',
+        action: 'Tap to try again',
+    },
+};
+
+/**
+ * Formats a date as a short time, e.g. "14:20"
+ * @param {Date} date The date to format
+ * @returns {string} The formatted time
+ */
+function formatTime(date) {
+    const timeFormatter = new DateFormatter();
+    timeFormatter.useNoDateStyle();
+    timeFormatter.useShortTimeStyle();
+    return timeFormatter.string(date);
+}
+
+/**
+ * Describes how the chosen route gets to the destination, in a way that suits the travel mode. Transit shows the line names and
+ * the departure time of the first transit leg rather than a road name.
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @returns {string} The description of the route, e.g. "Using M1" or "Catch Sandringham at 14:20"
+ */
+function getRouteDescription(routeInfo) {
+    switch (routeInfo.travelMode) {
+        case 'transit':
+            if (routeInfo.transitDepartureTime) {
+                return `Catch ${routeInfo.transitLines[0]} at ${formatTime(
+                    routeInfo.transitDepartureTime
+                )}`;
+            }
+            return `Walk via ${routeInfo.routeName}`;
+        case 'walking':
+            return `Walk via ${routeInfo.routeName}`;
+        case 'bicycling':
+            return `Ride via ${routeInfo.routeName}`;
+        default:
+            return `Using ${routeInfo.routeName}`;
+    }
+}
+
+/**
+ * Returns what to call the destination on the widget: the name of the known place it matched (e.g. "Home" or "Office") if it has one, otherwise
+ * the event title.
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @returns {string} The destination label
+ */
+function getDestinationLabel(routeInfo) {
+    return routeInfo.knownPlaceName || routeInfo.destinationName;
+}
+
+/**
+ * Works out the primary figure on the widget: how long until the user needs to leave, when to leave by if that's still a while off, or how late
+ * they are running once the leave-by time has passed.
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {Object} settings The validated config
+ * @returns {string} e.g. "Leave in 12 min", "Leave by 14:32" or "Running 6 min late"
+ */
+function getLeaveText(routeInfo, settings) {
+    const slackMinutes = Math.floor(routeInfo.slackSeconds / 60);
+
+    if (slackMinutes < 0) {
+        return `Running ${-slackMinutes} min late`;
+    } else if (slackMinutes > settings.display.leave_by_after_minutes) {
+        return `Leave by ${formatTime(routeInfo.leaveByTime)}`;
+    } else if (slackMinutes > 0) {
+        return `Leave in ${slackMinutes} min`;
+    } else {
+        return 'Leave now';
+    }
+}
+
+/**
+ * Colours the leave time by how much slack there is: red once the user is running late, amber when they need to leave within the late
+ * threshold and green otherwise.
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {Object} settings The validated config
+ * @returns {Color} The colour for the leave time
+ */
+function getSlackColor(routeInfo, settings) {
+    if (routeInfo.slackSeconds < 0) {
+        return Color.red();
+    } else if (routeInfo.slackSeconds < settings.late_threshold_minutes * 60) {
+        return Color.orange();
+    } else {
+        return Color.green();
+    }
+}
+
+/**
+ * Draws a bar showing how much of the lookahead window is left before the user needs to leave, which empties as the leave-by time approaches.
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {Object} settings The validated config
+ * @returns {Image} The progress bar image
+ */
+function drawProgressBar(routeInfo, settings) {
+    const width = 120;
+    const height = 4;
+    const remaining = Math.min(
+        Math.max(routeInfo.slackSeconds / (settings.lookahead_minutes * 60), 0),
+        1
+    );
+
+    const context = new DrawContext();
+    context.size = new Size(width, height);
+    context.opaque = false;
+    context.respectScreenScale = true;
+
+    const track = new Path();
+    track.addRoundedRect(new Rect(0, 0, width, height), 2, 2);
+    context.addPath(track);
+    context.setFillColor(Color.gray());
+    context.fillPath();
+
+    if (remaining > 0) {
+        const bar = new Path();
+        bar.addRoundedRect(new Rect(0, 0, width * remaining, height), 2, 2);
+        context.addPath(bar);
+        context.setFillColor(getSlackColor(routeInfo, settings));
+        context.fillPath();
+    }
+
+    return context.getImage();
+}
+
+/**
+ * Adds what went wrong and what to do about it, in place of a travel time. Lock screen widgets only have room for the title.
+ * @param {ListWidget} widget The widget to add to
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {Object} statusDisplay The entry in statusDisplays for the routeInfo status
+ * @param {boolean} isAccessory Whether the widget is on the lock screen
+ */
+function addStatusLayout(widget, routeInfo, statusDisplay, isAccessory) {
+    const headerText = widget.addText(statusDisplay.title);
+    headerText.font = Font.mediumSystemFont(isAccessory ? 12 : 16);
+    headerText.textColor = Color.red();
+
+    if (isAccessory) {
+        return;
+    }
+
+    const actionText = widget.addText(
+        statusDisplay.action.replace('%KEY%', routeInfo.apiKeyName)
+    );
+    actionText.font = Font.systemFont(12);
+
+    for (const configError of routeInfo.configErrors || []) {
+        const errorText = widget.addText(configError);
+        errorText.font = Font.systemFont(10);
+    }
+}
+
+/**
+ * Adds the destination, the leave time in large type and the travel time and route underneath it. This is the whole of the small widget, and the
+ * left hand side or top of the bigger widgets.
+ * @param {WidgetStack|ListWidget} stack The stack or widget to add to
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {Object} settings The validated config
+ */
+function addTravelTime(stack, routeInfo, settings) {
+    const headerText = stack.addText(getDestinationLabel(routeInfo));
+    headerText.font = Font.mediumSystemFont(16);
+
+    // Without a leave-by time there is no event to leave for, so there is nothing to show but the header
+    if (!routeInfo.leaveByTime) {
+        return;
+    }
+
+    const mainText = stack.addText(getLeaveText(routeInfo, settings));
+    mainText.font = Font.mediumSystemFont(24);
+    mainText.minimumScaleFactor = 0.6;
+    mainText.lineLimit = 1;
+    mainText.textColor = getSlackColor(routeInfo, settings);
+
+    if (settings.display.show_progress) {
+        stack.addSpacer(4);
+        const progressImage = stack.addImage(
+            drawProgressBar(routeInfo, settings)
+        );
+        progressImage.imageSize = new Size(120, 4);
+        stack.addSpacer(4);
+    }
+
+    const subText = stack.addText(
+        `${getRouteDescription(routeInfo)} (${Math.ceil(
+            routeInfo.routeTimeSeconds / 60
+        )} mins)`
+    );
+    subText.font = Font.mediumSystemFont(12);
+
+    const lateMinutes = Math.ceil((routeInfo.lateBySeconds || 0) / 60);
+    if (lateMinutes > 0) {
+        const lateText = stack.addText(`About ${lateMinutes} min late`);
+        lateText.font = Font.mediumSystemFont(10);
+        lateText.textColor = Color.red();
+    }
+
+    // Only worth saying where the trip starts from when it isn't where the user is
+    if (['event', 'schedule', 'fallback'].includes(routeInfo.originSource)) {
+        const originText = stack.addText(`From ${routeInfo.originName}`);
+        originText.font = Font.mediumSystemFont(10);
+        originText.textColor = Color.gray();
+    }
+
+    const trafficDelayMinutes = Math.round(
+        (routeInfo.trafficDelaySeconds || 0) / 60
+    );
+    if (trafficDelayMinutes > 0) {
+        const trafficText = stack.addText(
+            `Traffic adds ${trafficDelayMinutes} min`
+        );
+        trafficText.font = Font.mediumSystemFont(10);
+        trafficText.textColor = Color.gray();
+    }
+
+    // Compare with the usual travel time at this time of the week, if it's different enough to be worth knowing
+    const typicalDeltaMinutes = Math.round(
+        (routeInfo.typicalDeltaSeconds || 0) / 60
+    );
+    if (
+        typicalDeltaMinutes !== 0 &&
+        Math.abs(typicalDeltaMinutes) >=
+            settings.history.compare_threshold_minutes
+    ) {
+        const typicalText = stack.addText(
+            `${Math.abs(typicalDeltaMinutes)} min ${
+                typicalDeltaMinutes > 0 ? 'slower' : 'faster'
+            } than usual`
+        );
+        typicalText.font = Font.mediumSystemFont(10);
+        typicalText.textColor =
+            typicalDeltaMinutes > 0 ? Color.orange() : Color.green();
+    }
+
+    if (routeInfo.recommendedDeparture) {
+        const recommendationText = stack.addText(
+            `Leave ${formatTime(
+                routeInfo.recommendedDeparture.time
+            )} (saves ${Math.round(
+                routeInfo.recommendedDeparture.savingSeconds / 60
+            )} min)`
+        );
+        recommendationText.font = Font.mediumSystemFont(10);
+        recommendationText.textColor = Color.green();
+    }
+
+    // When the API budget has been used up the travel time is the last one we have, so show how old it is
+    if (routeInfo.stale) {
+        const staleText = stack.addText(
+            `Stale: from ${formatTime(routeInfo.estimateTime)}`
+        );
+        staleText.font = Font.mediumSystemFont(10);
+        staleText.textColor = Color.orange();
+        mainText.textColor = Color.gray();
+    }
+
+    // When the maps service couldn't be used the travel time is the typical one from the history
+    if (routeInfo.fromHistory) {
+        const historyText = stack.addText('Typical time, maps unavailable');
+        historyText.font = Font.mediumSystemFont(10);
+        historyText.textColor = Color.orange();
+        mainText.textColor = Color.gray();
+    }
+
+    // Let whoever set up the event know if something in its notes couldn't be understood
+    for (const directiveError of routeInfo.directiveErrors || []) {
+        const directiveText = stack.addText(`Notes: ${directiveError}`);
+        directiveText.font = Font.systemFont(10);
+        directiveText.textColor = Color.orange();
+    }
+}
+
+/**
+ * Adds the other routes that were considered, with their travel times, so the user can see what they'd gain or lose by going another way.
+ * @param {WidgetStack} stack The stack to add to
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ */
+function addAlternatives(stack, routeInfo) {
+    const titleText = stack.addText('Alternatives');
+    titleText.font = Font.mediumSystemFont(12);
+    titleText.textColor = Color.gray();
+
+    if (!routeInfo.alternatives || routeInfo.alternatives.length === 0) {
+        const noneText = stack.addText('No other routes');
+        noneText.font = Font.systemFont(12);
+        return;
+    }
+
+    for (const alternative of routeInfo.alternatives) {
+        stack.addSpacer(4);
+        const nameText = stack.addText(alternative.routeName);
+        nameText.font = Font.mediumSystemFont(12);
+        nameText.lineLimit = 1;
+
+        const minutesDifference = Math.round(
+            (alternative.routeTimeSeconds - routeInfo.routeTimeSeconds) / 60
+        );
+        const timeText = stack.addText(
+            `${Math.ceil(alternative.routeTimeSeconds / 60)} mins (${
+                minutesDifference > 0 ? '+' : ''
+            }${minutesDifference})`
+        );
+        timeText.font = Font.systemFont(12);
+        timeText.textColor =
+            minutesDifference < 0 ? Color.green() : Color.gray();
+    }
+}
+
+/**
+ * Adds the rest of the day's located events as a timeline of when to leave for each of them, with how much time there is to spare once the
+ * travel time is taken out.
+ * @param {WidgetStack} stack The stack to add to
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ */
+function addItinerary(stack, routeInfo) {
+    if (routeInfo.itinerary.some((leg) => leg.slackSeconds < 0)) {
+        const warningText = stack.addText("Can't make every event in time");
+        warningText.font = Font.mediumSystemFont(12);
+        warningText.textColor = Color.red();
+    }
+
+    for (const leg of routeInfo.itinerary) {
+        stack.addSpacer(4);
+        const legRowStack = stack.addStack();
+        legRowStack.layoutHorizontally();
+
+        const leaveByText = legRowStack.addText(
+            leg.leaveByTime ? formatTime(leg.leaveByTime) : '--:--'
+        );
+        leaveByText.font = Font.mediumSystemFont(12);
+        leaveByText.textColor = Color.gray();
+        legRowStack.addSpacer(8);
+
+        const legDetailStack = legRowStack.addStack();
+        legDetailStack.layoutVertically();
+
+        const legTitleText = legDetailStack.addText(
+            `${leg.title} at ${formatTime(leg.time)}`
+        );
+        legTitleText.font = Font.mediumSystemFont(12);
+        legTitleText.lineLimit = 1;
+
+        const legDetail =
+            leg.status === travelStatus.OK
+                ? `${Math.ceil(leg.travelTimeSeconds / 60)} min from ${
+                      leg.from
+                  }, ${Math.floor(leg.slackSeconds / 60)} min to spare`
+                : `No travel time from ${leg.from}`;
+        const legDetailText = legDetailStack.addText(legDetail);
+        legDetailText.font = Font.systemFont(10);
+        legDetailText.textColor =
+            leg.slackSeconds < 0 || leg.status !== travelStatus.OK
+                ? Color.red()
+                : Color.gray();
+    }
+}
+
+/**
+ * Medium widget: the travel time on the left, and the top two alternative routes on the right.
+ * @param {ListWidget} widget The widget to add to
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {Object} settings The validated config
+ */
+function addMediumLayout(widget, routeInfo, settings) {
+    const columnsStack = widget.addStack();
+    columnsStack.layoutHorizontally();
+
+    const travelTimeStack = columnsStack.addStack();
+    travelTimeStack.layoutVertically();
+    addTravelTime(travelTimeStack, routeInfo, settings);
+
+    columnsStack.addSpacer();
+
+    const alternativesStack = columnsStack.addStack();
+    alternativesStack.layoutVertically();
+    addAlternatives(alternativesStack, routeInfo);
+}
+
+/**
+ * Large widget: the travel time and why the route was chosen at the top, and a leave-by timeline of the rest of the day's events below it.
+ * @param {ListWidget} widget The widget to add to
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {Object} settings The validated config
+ */
+function addLargeLayout(widget, routeInfo, settings) {
+    addTravelTime(widget, routeInfo, settings);
+
+    if (routeInfo.routeReason) {
+        const reasonText = widget.addText(routeInfo.routeReason);
+        reasonText.font = Font.systemFont(10);
+        reasonText.textColor = Color.gray();
+    }
+
+    // Let the user know if the buffer has often not been enough in the past
+    if (routeInfo.lateFrequency?.lateCount > 0) {
+        const lateText = widget.addText(
+            `This buffer would have been too short for ${routeInfo.lateFrequency.lateCount} of ${routeInfo.lateFrequency.samples} trips`
+        );
+        lateText.font = Font.systemFont(10);
+        lateText.textColor = Color.gray();
+    }
+
+    if (routeInfo.itinerary) {
+        widget.addSpacer(8);
+        const itineraryStack = widget.addStack();
+        itineraryStack.layoutVertically();
+        addItinerary(itineraryStack, routeInfo);
+    }
+
+    widget.addSpacer();
+}
+
+/**
+ * Lock screen widgets: a glance at how long until the user needs to leave. The circular widget only has room for the number, the inline widget
+ * is a single line of text and the rectangular widget adds the destination and route.
+ * @param {ListWidget} widget The widget to add to
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {Object} settings The validated config
+ * @param {string} widgetFamily One of accessoryCircular, accessoryInline or accessoryRectangular
+ */
+function addAccessoryLayout(widget, routeInfo, settings, widgetFamily) {
+    const slackMinutes = Math.floor(routeInfo.slackSeconds / 60);
+    const leaveText = getLeaveText(routeInfo, settings);
+
+    switch (widgetFamily) {
+        case 'accessoryCircular': {
+            widget.addAccessoryWidgetBackground = true;
+
+            const numberText = widget.addText(
+                Math.abs(slackMinutes).toString()
+            );
+            numberText.font = Font.mediumSystemFont(20);
+            numberText.centerAlignText();
+
+            const minText = widget.addText(slackMinutes < 0 ? 'late' : 'min');
+            minText.font = Font.systemFont(10);
+            minText.centerAlignText();
+            break;
+        }
+        case 'accessoryInline':
+            widget.addText(`${leaveText} to ${getDestinationLabel(routeInfo)}`);
+            break;
+        default: {
+            const headerText = widget.addText(getDestinationLabel(routeInfo));
+            headerText.font = Font.mediumSystemFont(14);
+            headerText.lineLimit = 1;
+
+            const glanceText = widget.addText(leaveText);
+            glanceText.font = Font.mediumSystemFont(16);
+
+            const subText = widget.addText(getRouteDescription(routeInfo));
+            subText.font = Font.systemFont(12);
+            subText.lineLimit = 1;
+        }
+    }
+}
+
+/**
+ * Builds the widget for the routeInfo, laid out to suit the widget family. Every layout is built from the same routeInfo, so the travel time only
+ * needs to be worked out once per refresh whatever the size of the widget.
+ * <ul>
+ * <li>small: the destination, when to leave, and the travel time and route</li>
+ * <li>medium: as small, plus the top two alternative routes and their travel times</li>
+ * <li>large: as small, plus a leave-by timeline of the rest of the day's located events (if the routeInfo has an itinerary)</li>
+ * <li>accessoryCircular, accessoryInline and accessoryRectangular: how many minutes until the user needs to leave</li>
+ * </ul>
+ *
+ * @param {Object} routeInfo The routeInfo object returned from getTravelTime
+ * @param {Object} settings The validated config
+ * @param {string} widgetFamily The family of the widget being built, from <code>config.widgetFamily</code>. Scriptable sets this to null outside a widget, e.g. when run in the app, in which case the small layout is used.
+ * @returns {ListWidget} The widget
+ */
+function createWidget(routeInfo, settings, widgetFamily) {
+    if (DEBUG) logger.pushFunction('createWidget');
+
+    const family = widgetFamily ?? 'small';
+    const isAccessory = family.startsWith('accessory');
+
+    const widget = new ListWidget();
+    if (!isAccessory) {
+        widget.setPadding(kPadding, kPadding, kPadding, kPadding);
+    }
+
+    const statusDisplay = statusDisplays[routeInfo.status];
+
+    if (DEBUG)
+        logger.writeToLogFile(
+            `Building ${family} widget for status ${routeInfo.status}`,
+            'createWidget'
+        );
+
+    if (statusDisplay) {
+        addStatusLayout(widget, routeInfo, statusDisplay, isAccessory);
+    } else if (isAccessory) {
+        if (routeInfo.leaveByTime) {
+            addAccessoryLayout(widget, routeInfo, settings, family);
+        } else {
+            widget.addText(routeInfo.destinationName);
+        }
+    } else if (family === 'medium') {
+        addMediumLayout(widget, routeInfo, settings);
+    } else if (family === 'large' || family === 'extraLarge') {
+        addLargeLayout(widget, routeInfo, settings);
+    } else {
+        addTravelTime(widget, routeInfo, settings);
+    }
+
+    if (DEBUG) logger.popFunction('createWidget');
+    return widget;
+}
+
+module.exports.createWidget = createWidget;
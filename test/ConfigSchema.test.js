@@ -0,0 +1,24 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+
+// Scriptable loads modules with importModule, relative to the Scriptable folder, which is src here
+global.importModule = (modulePath) =>
+    require(path.join(__dirname, '..', 'src', modulePath));
+
+const { validateConfig } = importModule('/lib/ConfigSchema');
+
+for (const rawConfig of [null, [], 'Travel Destinations']) {
+    test(`falls back to the defaults when the config file is ${JSON.stringify(
+        rawConfig
+    )}`, () => {
+        const { config, errors } = validateConfig(rawConfig);
+
+        assert.deepStrictEqual(errors, [
+            'The config file must contain a JSON object',
+        ]);
+        assert.deepStrictEqual(validateConfig({}).config, config);
+    });
+}
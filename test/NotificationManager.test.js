@@ -0,0 +1,115 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+
+// Scriptable loads modules with importModule, relative to the Scriptable folder, which is src here
+global.importModule = (modulePath) =>
+    require(path.join(__dirname, '..', 'src', modulePath));
+
+// Stands in for Scriptable's Notification, keeping what is scheduled instead of showing it
+let scheduled = [];
+global.Notification = class {
+    static async allPending() {
+        return [];
+    }
+
+    static async removePending() {}
+
+    setTriggerDate(date) {
+        this.triggerDate = date;
+    }
+
+    addAction() {}
+
+    async schedule() {
+        scheduled.push(this);
+    }
+};
+
+const { reconcileNotifications } = importModule('/lib/NotificationManager');
+
+const kMinuteMs = 60 * 1000;
+
+const settings = { notifications: { lead_minutes: [10, 0] } };
+
+function minutesFromNow(minutes) {
+    return new Date(Date.now() + minutes * kMinuteMs);
+}
+
+function travelRouteInfo(overrides) {
+    return {
+        eventIdentifier: 'event-1',
+        upcomingEventIds: ['event-1'],
+        destinationName: 'Dentist',
+        destinationLocation: '1+Main+St',
+        travelMode: 'driving',
+        leaveByTime: minutesFromNow(40),
+        ...overrides,
+    };
+}
+
+async function getScheduled(routeInfo) {
+    scheduled = [];
+    await reconcileNotifications(routeInfo, settings);
+    return scheduled.map((notif) => ({
+        title: notif.title,
+        minutes: Math.round((notif.triggerDate - Date.now()) / kMinuteMs),
+    }));
+}
+
+test('counts back from the leave-by time', async () => {
+    assert.deepStrictEqual(await getScheduled(travelRouteInfo()), [
+        { title: 'Leave in 10 min', minutes: 30 },
+        { title: 'Leave Now', minutes: 40 },
+    ]);
+});
+
+test('counts back from the recommended departure when every lead time fits in front of it', async () => {
+    const notifications = await getScheduled(
+        travelRouteInfo({
+            recommendedDeparture: {
+                time: minutesFromNow(20),
+                savingSeconds: 6 * 60,
+            },
+        })
+    );
+
+    assert.deepStrictEqual(notifications, [
+        { title: 'Leave in 10 min', minutes: 10 },
+        { title: 'Leave Now', minutes: 20 },
+    ]);
+    assert.ok(scheduled.every((notif) => /saves 6 min/.test(notif.body)));
+});
+
+test('leaves out lead times that would go off after leaving at the recommended departure', async () => {
+    assert.deepStrictEqual(
+        await getScheduled(
+            travelRouteInfo({
+                recommendedDeparture: {
+                    time: minutesFromNow(5),
+                    savingSeconds: 6 * 60,
+                },
+            })
+        ),
+        [{ title: 'Leave Now', minutes: 5 }]
+    );
+});
+
+test('counts back from the leave-by time once the recommended departure has passed', async () => {
+    assert.deepStrictEqual(
+        await getScheduled(
+            travelRouteInfo({
+                recommendedDeparture: {
+                    time: minutesFromNow(-5),
+                    savingSeconds: 6 * 60,
+                },
+            })
+        ),
+        [
+            { title: 'Leave in 10 min', minutes: 30 },
+            { title: 'Leave Now', minutes: 40 },
+        ]
+    );
+});
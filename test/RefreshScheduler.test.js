@@ -0,0 +1,179 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('node:path');
+
+// Scriptable loads modules with importModule, relative to the Scriptable folder, which is src here
+global.importModule = (modulePath) =>
+    require(path.join(__dirname, '..', 'src', modulePath));
+
+const { getRefreshSchedule } = importModule('/lib/RefreshScheduler');
+const { travelStatus } = importModule('/lib/TravelStatus');
+
+const kMinuteMs = 60 * 1000;
+
+// About halfway through a 31 day month, so the API budget can be compared with how much of the month has passed
+const now = new Date(2026, 9, 16, 12, 0, 0);
+const clock = () => new Date(now);
+
+const settings = {
+    minimum_refresh_minutes: 5,
+    maximum_refresh_minutes: 60,
+    refresh_volatility_minutes: 5,
+    lookahead_minutes: 120,
+    api_budget: { monthly_call_limit: 0 },
+};
+
+function minutesFromNow(minutes) {
+    return new Date(now.getTime() + minutes * kMinuteMs);
+}
+
+function getMinutesUntilRefresh(schedule) {
+    return (schedule.refreshTime - now) / kMinuteMs;
+}
+
+function travelRouteInfo(overrides) {
+    return {
+        status: travelStatus.OK,
+        leaveByTime: minutesFromNow(50),
+        routeTimeSeconds: 20 * 60,
+        ...overrides,
+    };
+}
+
+test('checks again one travel time before the leave time', () => {
+    const schedule = getRefreshSchedule(travelRouteInfo(), settings, clock);
+
+    assert.strictEqual(getMinutesUntilRefresh(schedule), 30);
+    assert.match(schedule.reasons[0], /one travel time \(20 min\)/);
+});
+
+test('checks again soon when the travel time has been jumping around', () => {
+    const schedule = getRefreshSchedule(
+        travelRouteInfo({ previousRouteTimeSeconds: 12 * 60 }),
+        settings,
+        clock
+    );
+
+    assert.strictEqual(getMinutesUntilRefresh(schedule), 5);
+    assert.ok(
+        schedule.reasons.some((reason) => /changed by 8 min/.test(reason))
+    );
+});
+
+test('ignores changes in the travel time below the volatility setting', () => {
+    const schedule = getRefreshSchedule(
+        travelRouteInfo({ previousRouteTimeSeconds: 18 * 60 }),
+        settings,
+        clock
+    );
+
+    assert.strictEqual(getMinutesUntilRefresh(schedule), 30);
+});
+
+test('refreshes less often when the API budget is running ahead of the month', () => {
+    const schedule = getRefreshSchedule(
+        travelRouteInfo({
+            leaveByTime: minutesFromNow(240),
+            routeTimeSeconds: 220 * 60,
+            apiCallsThisMonth: 750,
+        }),
+        { ...settings, api_budget: { monthly_call_limit: 1000 } },
+        clock
+    );
+
+    // 75% of the budget used about 48% of the way through the month
+    const monthPassed =
+        (now - new Date(2026, 9, 1)) / (31 * 24 * 60 * kMinuteMs);
+    assert.ok(
+        Math.abs(getMinutesUntilRefresh(schedule) - 20 * (0.75 / monthPassed)) <
+            0.01
+    );
+    assert.ok(schedule.reasons.some((reason) => /less often/.test(reason)));
+});
+
+test('leaves the refresh interval alone when the API budget is on track', () => {
+    const schedule = getRefreshSchedule(
+        travelRouteInfo({ apiCallsThisMonth: 100 }),
+        { ...settings, api_budget: { monthly_call_limit: 1000 } },
+        clock
+    );
+
+    assert.strictEqual(getMinutesUntilRefresh(schedule), 30);
+});
+
+test('never refreshes later than the leave time', () => {
+    const schedule = getRefreshSchedule(
+        travelRouteInfo({
+            leaveByTime: minutesFromNow(8),
+            routeTimeSeconds: 20 * 60,
+            previousRouteTimeSeconds: 40 * 60,
+            apiCallsThisMonth: 900,
+        }),
+        { ...settings, api_budget: { monthly_call_limit: 1000 } },
+        clock
+    );
+
+    assert.strictEqual(getMinutesUntilRefresh(schedule), 8);
+    assert.ok(
+        schedule.reasons.some((reason) =>
+            /no later than the leave time/.test(reason)
+        )
+    );
+});
+
+test('waits for the next event to come into the lookahead window', () => {
+    const schedule = getRefreshSchedule(
+        { status: travelStatus.NO_EVENT, nextEventTime: minutesFromNow(150) },
+        settings,
+        clock
+    );
+
+    assert.strictEqual(getMinutesUntilRefresh(schedule), 30);
+});
+
+test('waits no longer than the maximum when there are no more events today', () => {
+    const schedule = getRefreshSchedule(
+        { status: travelStatus.NO_EVENT },
+        settings,
+        clock
+    );
+
+    assert.strictEqual(getMinutesUntilRefresh(schedule), 60);
+    assert.ok(schedule.reasons.includes('There are no more events today'));
+});
+
+test('goes by the next event when already at the current one', () => {
+    const schedule = getRefreshSchedule(
+        { status: travelStatus.ARRIVED, nextEventTime: minutesFromNow(140) },
+        settings,
+        clock
+    );
+
+    assert.strictEqual(getMinutesUntilRefresh(schedule), 20);
+    assert.strictEqual(
+        schedule.reasons[0],
+        'Already at the location of the next event'
+    );
+});
+
+test('retries after the minimum when the travel time could not be worked out', () => {
+    const schedule = getRefreshSchedule(
+        { status: travelStatus.NETWORK_ERROR },
+        settings,
+        clock
+    );
+
+    assert.strictEqual(getMinutesUntilRefresh(schedule), 5);
+});
+
+test('never refreshes sooner than the minimum', () => {
+    const schedule = getRefreshSchedule(
+        travelRouteInfo({ leaveByTime: minutesFromNow(2) }),
+        settings,
+        clock
+    );
+
+    assert.strictEqual(getMinutesUntilRefresh(schedule), 5);
+});